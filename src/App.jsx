@@ -1,10 +1,74 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 
 // ─── Storage ──────────────────────────────────────────────────────────────────
-// Tries window.storage (Claude artifact API), falls back to localStorage, then to null
+// Prefers IndexedDB: one key/value store, no ~5 MB ceiling, and multi-key writes
+// in a single transaction. Where it is missing or blocked (private mode, sandboxed
+// iframes) the legacy adapters take over: window.storage (Claude artifact API),
+// then localStorage.
 const hasWindowStorage = typeof window !== "undefined" && window.storage && typeof window.storage.get === "function";
+const IDB_STORE = "kv";
+let idbReady = null;
 
-async function storageGet(key) {
+// Promise for an IDBRequest result or an IDBTransaction commit
+function idbDone(req) {
+  return new Promise((resolve,reject)=>{
+    if ("oncomplete" in req) { req.oncomplete = ()=>resolve(); req.onerror = req.onabort = ()=>reject(req.error); }
+    else { req.onsuccess = ()=>resolve(req.result); req.onerror = ()=>reject(req.error); }
+  });
+}
+
+// Resolves to the database, or null so callers fall back to the legacy adapters
+function openIdb() {
+  if (!idbReady) idbReady = new Promise(resolve=>{
+    try {
+      const req = indexedDB.open("me-first", 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = req.onblocked = () => resolve(null);
+    } catch { resolve(null); }
+  }).then(db => db && moveLocalStorage(db).then(()=>db, ()=>db));
+  return idbReady;
+}
+
+// One-time move of mf:* keys out of localStorage. The originals are only removed
+// once the copy has committed, so an interrupted move simply runs again.
+async function moveLocalStorage(db) {
+  let keys;
+  try { keys = Object.keys(localStorage).filter(k=>k.startsWith("mf:")); } catch { return; }
+  if (!keys.length) return;
+  const tx = db.transaction(IDB_STORE, "readwrite");
+  const store = tx.objectStore(IDB_STORE);
+  keys.forEach(k=>{ try { store.put(JSON.parse(localStorage.getItem(k)), k); } catch { /* unparseable, skip */ } });
+  await idbDone(tx);
+  keys.forEach(k=>localStorage.removeItem(k));
+  await unmarkStale(keys);
+}
+
+// Keys whose IndexedDB copy is out of date because a write fell back to the
+// legacy adapters. Reads skip IndexedDB for them until it takes a write again.
+// Kept outside mf:* so the move above leaves the list itself alone.
+const STALE_KEY = "me-first:idb-stale";
+let staleKeys = null;
+
+async function getStale() {
+  if (!staleKeys) staleKeys = new Set(await legacyGet(STALE_KEY) || []);
+  return staleKeys;
+}
+
+async function markStale(keys) {
+  const stale = await getStale();
+  keys.forEach(k=>stale.add(k));
+  await legacySet(STALE_KEY, [...stale]);
+}
+
+async function unmarkStale(keys) {
+  const stale = await getStale();
+  if (!keys.some(k=>stale.has(k))) return;
+  keys.forEach(k=>stale.delete(k));
+  await legacySet(STALE_KEY, [...stale]);
+}
+
+async function legacyGet(key) {
   if (hasWindowStorage) {
     try {
       const result = await window.storage.get(key);
@@ -18,20 +82,62 @@ async function storageGet(key) {
   } catch { return null; }
 }
 
-async function storageSet(key, value) {
+async function legacySet(key, value) {
   if (hasWindowStorage) {
     try { await window.storage.set(key, JSON.stringify(value)); return; } catch {}
   }
   try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
 }
 
-async function storageDelete(key) {
+async function legacyDelete(key) {
   if (hasWindowStorage) {
     try { await window.storage.delete(key); return; } catch {}
   }
   try { localStorage.removeItem(key); } catch {}
 }
 
+async function storageGet(key) {
+  const db = await openIdb();
+  if (db && !(await getStale()).has(key)) {
+    try {
+      const v = await idbDone(db.transaction(IDB_STORE).objectStore(IDB_STORE).get(key));
+      // window.storage can't be enumerated for the move, so it is read through
+      // until the key's first IndexedDB write
+      if (v !== undefined || !hasWindowStorage) return v ?? null;
+    } catch { /* fall through to the legacy adapters */ }
+  }
+  return legacyGet(key);
+}
+
+// Writes every {key: value} pair atomically; an undefined value deletes the key
+async function storageSetMany(changes) {
+  const entries = Object.entries(changes);
+  const db = await openIdb();
+  if (db) {
+    try {
+      const tx = db.transaction(IDB_STORE, "readwrite");
+      const store = tx.objectStore(IDB_STORE);
+      entries.forEach(([k,v])=>{ if (v===undefined) store.delete(k); else store.put(v,k); });
+      await idbDone(tx);
+      // Deleted keys must not be read back through from window.storage
+      if (hasWindowStorage) entries.filter(([,v])=>v===undefined).forEach(([k])=>legacyDelete(k));
+      // A fallback copy left behind would be moved back over this write on the next load
+      const stale = await getStale();
+      const superseded = entries.map(([k])=>k).filter(k=>stale.has(k));
+      if (superseded.length) {
+        await Promise.all(superseded.map(legacyDelete));
+        await unmarkStale(superseded);
+      }
+      return;
+    } catch { /* quota exceeded or connection lost: legacy adapters below */ }
+  }
+  await Promise.all(entries.map(([k,v])=>v===undefined ? legacyDelete(k) : legacySet(k,v)));
+  if (db) await markStale(entries.map(([k])=>k));
+}
+
+const storageSet    = (key, value) => storageSetMany({[key]:value});
+const storageDelete = key => storageSetMany({[key]:undefined});
+
 // ─── Design Tokens ────────────────────────────────────────────────────────────
 const T = {
   cream:    "#faf6f0",
@@ -52,61 +158,248 @@ const T = {
 
 const WISH_CATS  = ["Fashion","Beauty","Tech","Travel","Home","Wellness","Other"];
 const DEFAULT_SPEND_CATS = ["Groceries","Transport","Dining","Beauty","Home","Entertainment","Clothing","Health","Travel","Other"];
-const TRANSACTION_TYPES  = ["Expense","Transfer to Savings","Investment"];
+const TRANSACTION_TYPES  = ["Expense","Income","Transfer to Savings","Investment","Withdrawal","Goal Transfer","Credit"];
+const INCOME_KINDS = [
+  {id:"salary",    label:"Salary"},
+  {id:"freelance", label:"Freelance"},
+  {id:"sidegig",   label:"Side gig"},
+  {id:"benefits",  label:"Benefits"},
+  {id:"bonus",     label:"Bonus"},
+  {id:"other",     label:"Other"},
+];
+const DEFAULT_INCOME_SOURCES = [{id:1, name:"Salary", kind:"salary"}];
+const DEFAULT_ALERT_PREFS = {enabled:true, thresholds:[80,100], pace:true, paceMargin:20, notify:false};
+// Wishlist cooling-off in days: a default, per-category overrides, and `coolOff` on an item
+const DEFAULT_COOLING = {days:30, cats:{}};
 
 const DEFAULT_BUDGET = [
-  { id:1, label:"Savings",        pct:20, color:T.sage,  cats:[] },
+  { id:1, label:"Savings",        pct:20, color:T.sage,  cats:[], role:"savings" },
   { id:2, label:"Home & Bills",   pct:30, color:T.sand,  cats:["Home"] },
   { id:3, label:"Transport",      pct:10, color:T.clay,  cats:["Transport"] },
   { id:4, label:"Groceries",      pct:15, color:T.mist,  cats:["Groceries"] },
   { id:5, label:"Personal & Fun", pct:15, color:T.blush, cats:["Beauty","Entertainment","Clothing","Dining"] },
-  { id:6, label:"Investments",    pct:10, color:T.teal,  cats:[] },
+  { id:6, label:"Investments",    pct:10, color:T.teal,  cats:[], role:"investments" },
 ];
+// What a bucket's `role` does; deleting the bucket drops the role unless it's handed on
+const BUCKET_ROLES = {
+  savings:     "funds your savings goals and the sweep's savings transfers",
+  investments: "funds the sweep's investment transfers",
+};
 
+// Default questions. Answers are saved by question id, so editing a question's
+// wording keeps them; `kind` is "yesno" (the default) or "scale" (1–5).
 const QUIZ_Q = [
-  { q:"Will you use this at least once a week?", w: 3 },
-  { q:"Do you already own something similar?",   w:-2 },
-  { q:"Will it improve your daily life?",        w: 2 },
-  { q:"Is this replacing something broken?",     w: 2 },
-  { q:"Would you still want it in 3 months?",   w: 3 },
+  { id:"weekly",    q:"Will you use this at least once a week?", w: 3 },
+  { id:"similar",   q:"Do you already own something similar?",   w:-2 },
+  { id:"daily",     q:"Will it improve your daily life?",        w: 2 },
+  { id:"replacing", q:"Is this replacing something broken?",     w: 2 },
+  { id:"later",     q:"Would you still want it in 3 months?",   w: 3 },
 ];
+const QUIZ_KINDS = [
+  {id:"yesno", label:"Yes / no"},
+  {id:"scale", label:"Scale 1–5"},
+];
+// Question sets, and which set each category's items get (the first set otherwise)
+const DEFAULT_QUIZ = {sets:[{id:"general", name:"General", questions:QUIZ_Q}], cats:{}};
 
-const fmt = n => "€" + Number(n||0).toLocaleString("en", {minimumFractionDigits:0,maximumFractionDigits:0});
+// ─── Data Slices ──────────────────────────────────────────────────────────────
+// Every persisted slice: its name in backup files, storage key and empty value.
+// Lists merge by id on restore; settings keep whatever is already on the device.
+const SCHEMA_VERSION = 8;
+const SCHEMA_KEY = "mf:schemaVersion";
+const DATA_SLICES = [
+  {name:"pay",         key:"mf:pay",         label:"Monthly salary", empty:0},
+  {name:"hours",       key:"mf:hours",       label:"Working hours",  empty:160},
+  {name:"paydayDay",   key:"mf:paydayday",   label:"Payday",         empty:6},
+  {name:"paySchedule", key:"mf:payschedule", label:"Pay schedule",   empty:{mode:"monthly",anchor:""}, show:v=>payMode(v).label},
+  {name:"holidays",    key:"mf:holidays",    label:"Holiday calendar", empty:{country:"",closures:[],paydayRoll:"earlier",billRoll:"none"}, show:v=>HOLIDAY_CALENDARS[v.country]?.label||"None"},
+  {name:"incomeSources", key:"mf:incomesources", label:"Income sources", list:true, empty:DEFAULT_INCOME_SOURCES},
+  {name:"trendLookback", key:"mf:trendlookback", label:"Trend lookback", empty:12},
+  {name:"savedFilters", key:"mf:savedfilters", label:"Saved filters", list:true, empty:[]},
+  {name:"spendCats",   key:"mf:spendcats",   label:"Categories",     list:true, strings:true, empty:DEFAULT_SPEND_CATS},
+  {name:"tags",        key:"mf:tags",        label:"Tags",           list:true, strings:true, empty:[]},
+  {name:"alertPrefs",  key:"mf:alertprefs",  label:"Alert settings", empty:DEFAULT_ALERT_PREFS, show:v=>v.enabled?v.thresholds.map(t=>t+"%").join(", "):"Off"},
+  {name:"alerts",      key:"mf:alerts",      label:"Alerts",         list:true, empty:[]},
+  {name:"cooling",     key:"mf:cooling",     label:"Cooling-off",    empty:DEFAULT_COOLING, show:v=>`${v.days} days`},
+  {name:"quiz",        key:"mf:quiz",        label:"Impulse quiz",   empty:DEFAULT_QUIZ, show:v=>`${v.sets.length} question set${v.sets.length===1?"":"s"}`},
+  {name:"goals",       key:"mf:goals",       label:"Goals",          list:true, empty:[]},
+  {name:"wishlist",    key:"mf:wishlist",    label:"Wishlist",       list:true, empty:[]},
+  {name:"spending",    key:"mf:spending",    label:"Transactions",   list:true, empty:[]},
+  {name:"recurring",   key:"mf:recurring",   label:"Recurring",      list:true, empty:[]},
+  {name:"budget",      key:"mf:budget",      label:"Budget buckets", list:true, keep:true, empty:DEFAULT_BUDGET},
+];
 
-// FIX #1: getNextPayday — cap dayOfMonth BEFORE constructing Date to avoid JS overflow
-function getNextPayday(dayOfMonth) {
-  const today = new Date(); today.setHours(0,0,0,0);
-  for (let offset = 0; offset <= 1; offset++) {
-    const rawMonth = today.getMonth() + offset;
-    const year = today.getFullYear() + Math.floor(rawMonth / 12);
-    const month = rawMonth % 12;
-    const lastDay = new Date(year, month + 1, 0).getDate(); // last day of that month
-    const safeDay = Math.min(dayOfMonth, lastDay);          // cap BEFORE constructing
-    const d = new Date(year, month, safeDay);
-    if (d.getDay() === 6) d.setDate(d.getDate()-1);
-    if (d.getDay() === 0) d.setDate(d.getDate()-2);
-    if (d >= today) return d.toISOString().split("T")[0];
-  }
-  const rawMonth = today.getMonth() + 1;
-  const year = today.getFullYear() + Math.floor(rawMonth / 12);
-  const month = rawMonth % 12;
-  const lastDay = new Date(year, month + 1, 0).getDate();
-  const safeDay = Math.min(dayOfMonth, lastDay);
-  const d = new Date(year, month, safeDay);
-  if (d.getDay() === 6) d.setDate(d.getDate()-1);
-  if (d.getDay() === 0) d.setDate(d.getDate()-2);
-  return d.toISOString().split("T")[0];
+const itemKey = x => x && typeof x==="object" ? x.id ?? JSON.stringify(x) : x;
+
+function validateBackup(file) {
+  if (!file || file.app!=="me-first" || !file.data || typeof file.data!=="object") return "This file isn't a me, first. backup.";
+  if (typeof file.schemaVersion!=="number") return "This backup has no schema version.";
+  if (file.schemaVersion>SCHEMA_VERSION) return "This backup was made by a newer version of the app.";
+  const bad = DATA_SLICES.find(sl=>{
+    const v = file.data[sl.name];
+    if (v==null) return false;
+    if (!sl.list) return typeof v!==typeof sl.empty || v===null;
+    return !Array.isArray(v) || v.some(x=>sl.strings ? typeof x!=="string" : !x || typeof x!=="object");
+  });
+  return bad ? `This backup's ${bad.label.toLowerCase()} data is damaged.` : null;
 }
 
+function backupDiff(current, incoming) {
+  return DATA_SLICES.filter(sl=>incoming[sl.name]!=null).map(sl=>{
+    const inc = incoming[sl.name], cur = current[sl.name];
+    const show = sl.show || (v=>v);
+    if (!sl.list) return {...sl, changed:JSON.stringify(cur)!==JSON.stringify(inc), from:show(cur), to:show(inc)};
+    const curByKey = new Map((cur||[]).map(x=>[itemKey(x),x]));
+    const incKeys = new Set(inc.map(itemKey));
+    let added = 0, changed = 0;
+    inc.forEach(x=>{
+      const c = curByKey.get(itemKey(x));
+      if (c===undefined) added++;
+      else if (JSON.stringify(c)!==JSON.stringify(x)) changed++;
+    });
+    const removed = [...curByKey.keys()].filter(k=>!incKeys.has(k)).length;
+    return {...sl, count:inc.length, added, changed, removed};
+  });
+}
+
+function mergeBackup(current, incoming) {
+  const out = {...current};
+  DATA_SLICES.forEach(sl=>{
+    const inc = incoming[sl.name];
+    if (!sl.list || sl.keep || inc==null) return;
+    const have = new Set((current[sl.name]||[]).map(itemKey));
+    out[sl.name] = [...(current[sl.name]||[]), ...inc.filter(x=>!have.has(itemKey(x)))];
+  });
+  return out;
+}
+
+// ─── Migrations ───
+// Each step upgrades a {sliceName: value} bag from the version before it; null
+// slices stay null. Stored data without mf:schemaVersion predates versioning and
+// counts as version 1. Add a step here whenever a record shape changes.
+const num = v => { const n = typeof v==="number" ? v : parseFloat(v); return isNaN(n) ? 0 : n; };
+const mapList = (list, fn) => list && list.map(fn);
+
+function withIds(list) {
+  let next = Math.max(0, ...list.map(x=>typeof x.id==="number"?x.id:0));
+  return list.map(x=>x.id!=null ? x : {...x,id:++next});
+}
+
+const MIGRATIONS = [
+  {to:2, up:d=>({
+    ...d,
+    pay:       d.pay       != null ? num(d.pay)       : null,
+    hours:     d.hours     != null ? num(d.hours)     : null,
+    paydayDay: d.paydayDay != null ? num(d.paydayDay) || 6 : null,
+    spending:  mapList(d.spending,  s=>({...s, type:s.type||"Expense", amount:num(s.amount)})),
+    goals:     mapList(d.goals,     g=>({...g, target:num(g.target), current:num(g.current)})),
+    recurring: mapList(d.recurring, r=>({...r, amount:num(r.amount), dayOfMonth:num(r.dayOfMonth)||1})),
+    wishlist:  mapList(d.wishlist,  w=>({...w, price:num(w.price), daysWanted:num(w.daysWanted)})),
+    budget:    d.budget && withIds(d.budget).map(b=>({...b, pct:num(b.pct), cats:b.cats||[]})),
+  })},
+  // Recurring items auto-post from here on; earlier occurrences stay untracked
+  {to:3, up:d=>({
+    ...d,
+    recurring: mapList(d.recurring, r=>({skips:[], overrides:{}, ...r, since:r.since||isoDate(new Date())})),
+  })},
+  {to:4, up:d=>({...d, recurring:mapList(d.recurring, r=>({frequency:"monthly", ...r}))})},
+  // Goal balances come from a ledger now; whatever `current` held beyond the
+  // linked transfers becomes an opening adjustment dated before them
+  {to:5, up:d=>({
+    ...d,
+    goals: mapList(d.goals, ({current, ...g})=>{
+      const linked = (d.spending||[]).filter(s=>isGoalTransfer(s, g.id));
+      const diff = Math.round((num(current) - linked.reduce((a,s)=>a+s.amount,0))*100)/100;
+      const date = linked.reduce((a,s)=>s.date<a ? s.date : a, isoDate(new Date()));
+      return {...g, adjustments:[...(g.adjustments||[]), ...(diff ? [{id:1, date, amount:diff, reason:"Opening balance"}] : [])]};
+    }),
+  })},
+  // Buckets can be renamed now, so the two that fund goals are marked by role
+  {to:6, up:d=>({
+    ...d,
+    budget: mapList(d.budget, b=>b.role || !["Savings","Investments"].includes(b.label) ? b : {...b, role:b.label.toLowerCase()}),
+  })},
+  // Days wanted counts itself now: the typed-in number becomes a back-dated `addedAt`
+  {to:7, up:d=>({
+    ...d,
+    wishlist: mapList(d.wishlist, ({daysWanted, ...w})=>({...w, addedAt:w.addedAt||isoDate(addDays(new Date(), -num(daysWanted)))})),
+  })},
+  // Quiz answers were saved by position in the fixed question list; key them by id
+  {to:8, up:d=>({
+    ...d,
+    wishlist: mapList(d.wishlist, w=>({...w, savedAnswers:Object.fromEntries(Object.entries(w.savedAnswers||{}).map(([k,v])=>[QUIZ_Q[k]?.id ?? k, v]))})),
+  })},
+];
+
+function migrate(data, fromVersion) {
+  return MIGRATIONS.filter(m=>m.to>fromVersion).reduce((d,m)=>m.up(d), data);
+}
+
+function downloadJson(fileName, value) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(value,null,2)],{type:"application/json"}));
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName; a.click();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+const fmt = n => "€" + Number(n||0).toLocaleString("en", {minimumFractionDigits:0,maximumFractionDigits:0});
+
+// Signed change against a reference, e.g. "+€12 (+15%)"; "—" with nothing to compare
+const fmtDelta = (now, ref) => {
+  if (ref==null) return "—";
+  const d = now-ref, sign = d>0.005 ? "+" : d<-0.005 ? "−" : "±";
+  return `${sign}${fmt(Math.abs(d))}${ref>0 ? ` (${sign}${Math.round(Math.abs(d)/ref*100)}%)` : ""}`;
+};
+const deltaColor = (now, ref) => ref==null || Math.abs(now-ref)<0.005 ? T.inkLight : now>ref ? T.clay : T.sage;
+
 function getCatColor(cat, budget) {
   const bucket = budget.find(b=>(b.cats||[]).includes(cat));
   return bucket ? bucket.color : T.sand;
 }
 
+// How much of a question's weight an answer earns: all of it for yes, none for
+// no, and quarter steps from 1 to 5 on a scale. null when it isn't a valid answer.
+function answerShare(q, a) {
+  if (q.kind==="scale") return typeof a==="number" && a>=1 && a<=5 ? (a-1)/4 : null;
+  return a==="yes" ? 1 : a==="no" ? 0 : null;
+}
+
+// 5 plus each question's earned weight, kept within 0–10 — a scale answer earns
+// part of the weight, so all-yes/no quizzes score as they always have
+function quizScore(questions, answers) {
+  const score = questions.reduce((a,q)=>a + num(q.w)*(answerShare(q, answers[q.id]) ?? 0), 5);
+  return Math.max(0, Math.min(Math.round(score*10)/10, 10));
+}
+
+const quizFor = (item, quiz) => quiz.sets.find(s=>s.id===quiz.cats?.[item.category]) || quiz.sets[0];
+// Saved answers that still fit their question; deleted questions and changed kinds drop out
+const liveAnswers = (questions, saved) =>
+  Object.fromEntries(questions.filter(q=>answerShare(q, saved?.[q.id])!=null).map(q=>[q.id, saved[q.id]]));
+
 function impulseScore(days, quiz) {
   const d = Math.min(days/90,1), q = quiz!=null?quiz/10:0.3;
   return Math.min((d*0.5+q*0.5)*100,100);
 }
+// Bought items stay on the list as an archive (`bought`: date, spendId, price and the
+// score and wait they had), and are asked a few weeks later whether they were worth it.
+// Deleting the purchase puts the item back on the list.
+const REGRET_DAYS = 21;
+const WORTH_IT = [
+  {value:2, label:"Worth it",  emoji:"😊"},
+  {value:1, label:"It's fine", emoji:"😐"},
+  {value:0, label:"Regret it", emoji:"😣"},
+];
+
+// Satisfaction (0–1) per verdict the item had when it was bought, in verdict order
+function verdictReport(bought) {
+  return [0,30,55,75].map(s=>impulseLabel(s)).map(v=>{
+    const rated = bought.filter(w=>w.bought.worth!=null && impulseLabel(w.bought.score).text===v.text);
+    return {...v, count:rated.length, satisfaction:rated.length ? rated.reduce((a,w)=>a+w.bought.worth,0)/rated.length/2 : null};
+  }).filter(v=>v.count>0);
+}
+
+const wishDays = (w, today) => w.addedAt ? Math.max(0, Math.round((localDate(today)-localDate(w.addedAt))/86400000)) : 0;
+const coolingDays = (w, cooling) => w.coolOff || cooling.cats?.[w.category] || cooling.days;
 function impulseLabel(score) {
   if (score<30) return {text:"Impulse buy",   color:T.clay,    bg:T.clay+"22"};
   if (score<55) return {text:"Think it over", color:"#c4a060", bg:"#c4a06022"};
@@ -114,41 +407,814 @@ function impulseLabel(score) {
   return              {text:"You deserve it", color:T.sage,    bg:T.sage+"22"};
 }
 
-// FIX #2: getPayPeriods — make end boundary INCLUSIVE by bumping end by 1ms
-// so transactions on exact payday date are not lost between periods
 // Parse a YYYY-MM-DD date string as LOCAL midnight (not UTC midnight)
 // This prevents dates shifting a day backwards in UTC+ timezones
 function localDate(str) {
   return new Date(str + "T00:00:00");
 }
 
-function getPayPeriods(spending, nextPayday) {
-  const pd = localDate(nextPayday); // FIX: local midnight, not UTC
-  const periods = [];
-  let end = new Date(pd);
-  for (let i=0; i<6; i++) {
-    const start = new Date(end); start.setMonth(start.getMonth()-1);
-    periods.push({start:new Date(start), end:new Date(end)});
-    end = new Date(start);
+// ─── Holidays ─────────────────────────────────────────────────────────────────
+// Bundled offline rule sets: each rule maps a year to a local Date (or null when
+// it doesn't apply that year). `sub` calendars move weekend holidays to the next
+// free weekday, the way UK and Irish bank holidays are observed.
+function easterSunday(y) {
+  const a=y%19, b=Math.floor(y/100), c=y%100, d=Math.floor(b/4), e=b%4;
+  const f=Math.floor((b+8)/25), g=Math.floor((b-f+1)/3), h=(19*a+b-d-g+15)%30;
+  const i=Math.floor(c/4), k=c%4, l=(32+2*e+2*i-h-k)%7, m=Math.floor((a+11*h+22*l)/451);
+  const month=Math.floor((h+l-7*m+114)/31), day=(h+l-7*m+114)%31+1;
+  return new Date(y, month-1, day);
+}
+const fixed  = (m, d) => y => new Date(y, m-1, d);
+const easter = offset => y => addDays(easterSunday(y), offset);
+// n-th weekday (0=Sun) of a month; n=-1 is the last one
+const nthWeekday = (m, wd, n) => y => {
+  if (n<0) { const d = new Date(y, m, 0); d.setDate(d.getDate()-(d.getDay()-wd+7)%7); return d; }
+  const d = new Date(y, m-1, 1); d.setDate(1+(wd-d.getDay()+7)%7+(n-1)*7); return d;
+};
+
+const HOLIDAY_CALENDARS = {
+  IE: {label:"Ireland", sub:true, rules:[
+    ["New Year's Day", fixed(1,1)],
+    ["St Brigid's Day", y=>{ if (y<2023) return null; const d = new Date(y,1,1); return d.getDay()===5 ? d : nthWeekday(2,1,1)(y); }],
+    ["St Patrick's Day", fixed(3,17)], ["Easter Monday", easter(1)],
+    ["May Bank Holiday", nthWeekday(5,1,1)], ["June Bank Holiday", nthWeekday(6,1,1)],
+    ["August Bank Holiday", nthWeekday(8,1,1)], ["October Bank Holiday", nthWeekday(10,1,-1)],
+    ["Christmas Day", fixed(12,25)], ["St Stephen's Day", fixed(12,26)],
+  ]},
+  GB: {label:"United Kingdom (England & Wales)", sub:true, rules:[
+    ["New Year's Day", fixed(1,1)], ["Good Friday", easter(-2)], ["Easter Monday", easter(1)],
+    ["Early May Bank Holiday", nthWeekday(5,1,1)], ["Spring Bank Holiday", nthWeekday(5,1,-1)],
+    ["Summer Bank Holiday", nthWeekday(8,1,-1)],
+    ["Christmas Day", fixed(12,25)], ["Boxing Day", fixed(12,26)],
+  ]},
+  DE: {label:"Germany (nationwide)", rules:[
+    ["Neujahr", fixed(1,1)], ["Karfreitag", easter(-2)], ["Ostermontag", easter(1)],
+    ["Tag der Arbeit", fixed(5,1)], ["Christi Himmelfahrt", easter(39)], ["Pfingstmontag", easter(50)],
+    ["Tag der Deutschen Einheit", fixed(10,3)], ["1. Weihnachtstag", fixed(12,25)], ["2. Weihnachtstag", fixed(12,26)],
+  ]},
+  FR: {label:"France", rules:[
+    ["Jour de l'an", fixed(1,1)], ["Lundi de Pâques", easter(1)], ["Fête du Travail", fixed(5,1)],
+    ["Victoire 1945", fixed(5,8)], ["Ascension", easter(39)], ["Lundi de Pentecôte", easter(50)],
+    ["Fête nationale", fixed(7,14)], ["Assomption", fixed(8,15)], ["Toussaint", fixed(11,1)],
+    ["Armistice", fixed(11,11)], ["Noël", fixed(12,25)],
+  ]},
+  NL: {label:"Netherlands", rules:[
+    ["Nieuwjaarsdag", fixed(1,1)], ["Tweede Paasdag", easter(1)],
+    ["Koningsdag", y=>{ const d = new Date(y,3,27); return d.getDay()===0 ? new Date(y,3,26) : d; }],
+    ["Hemelvaartsdag", easter(39)], ["Tweede Pinksterdag", easter(50)],
+    ["Eerste Kerstdag", fixed(12,25)], ["Tweede Kerstdag", fixed(12,26)],
+  ]},
+  ES: {label:"Spain (national)", rules:[
+    ["Año Nuevo", fixed(1,1)], ["Epifanía", fixed(1,6)], ["Viernes Santo", easter(-2)],
+    ["Fiesta del Trabajo", fixed(5,1)], ["Asunción", fixed(8,15)], ["Fiesta Nacional", fixed(10,12)],
+    ["Todos los Santos", fixed(11,1)], ["Día de la Constitución", fixed(12,6)],
+    ["Inmaculada Concepción", fixed(12,8)], ["Navidad", fixed(12,25)],
+  ]},
+  IT: {label:"Italy", rules:[
+    ["Capodanno", fixed(1,1)], ["Epifania", fixed(1,6)], ["Lunedì dell'Angelo", easter(1)],
+    ["Festa della Liberazione", fixed(4,25)], ["Festa del Lavoro", fixed(5,1)],
+    ["Festa della Repubblica", fixed(6,2)], ["Ferragosto", fixed(8,15)], ["Ognissanti", fixed(11,1)],
+    ["Immacolata", fixed(12,8)], ["Natale", fixed(12,25)], ["Santo Stefano", fixed(12,26)],
+  ]},
+  BE: {label:"Belgium", rules:[
+    ["Nieuwjaar", fixed(1,1)], ["Paasmaandag", easter(1)], ["Dag van de Arbeid", fixed(5,1)],
+    ["Hemelvaart", easter(39)], ["Pinkstermaandag", easter(50)], ["Nationale feestdag", fixed(7,21)],
+    ["O.L.V. Hemelvaart", fixed(8,15)], ["Allerheiligen", fixed(11,1)],
+    ["Wapenstilstand", fixed(11,11)], ["Kerstmis", fixed(12,25)],
+  ]},
+  EU: {label:"Eurozone banks (TARGET2)", rules:[
+    ["New Year's Day", fixed(1,1)], ["Good Friday", easter(-2)], ["Easter Monday", easter(1)],
+    ["Labour Day", fixed(5,1)], ["Christmas Day", fixed(12,25)], ["Boxing Day", fixed(12,26)],
+  ]},
+};
+
+const holidayCache = new Map();
+// Map of iso date → holiday name for one calendar year
+function holidaysIn(country, year) {
+  const cal = HOLIDAY_CALENDARS[country];
+  if (!cal) return new Map();
+  const key = country+":"+year;
+  if (holidayCache.has(key)) return holidayCache.get(key);
+  const days = cal.rules.map(([name, rule])=>({name, d:rule(year)})).filter(h=>h.d).sort((a,b)=>a.d-b.d);
+  const out = new Map();
+  for (const {name, d} of days) {
+    let day = d;
+    if (cal.sub && (day.getDay()===0 || day.getDay()===6)) {
+      while (day.getDay()===0 || day.getDay()===6 || out.has(isoDate(day))) day = addDays(day,1);
+      out.set(isoDate(d), name); // the day itself is still marked
+      out.set(isoDate(day), name+" (substitute)");
+    } else out.set(isoDate(day), name);
   }
-  return periods.map(p => {
-    // Inclusive end: treat end date as end-of-day by using < next-day
-    const endInclusive = new Date(p.end); endInclusive.setDate(endInclusive.getDate()+1);
+  holidayCache.set(key, out);
+  return out;
+}
+
+// cal = the holidays setting: {country, closures, paydayRoll, billRoll}
+function isBusinessDay(d, cal) {
+  if (d.getDay()===0 || d.getDay()===6) return false;
+  const iso = isoDate(d);
+  return !(cal.closures||[]).includes(iso) && !holidaysIn(cal.country, d.getFullYear()).has(iso);
+}
+function rollBusinessDay(d, cal, dir) {
+  let x = new Date(d);
+  while (!isBusinessDay(x, cal)) x = addDays(x, dir==="later" ? 1 : -1);
+  return x;
+}
+function holidayName(iso, cal) {
+  if ((cal.closures||[]).includes(iso)) return "Closure day";
+  return holidaysIn(cal.country, localDate(iso).getFullYear()).get(iso) || null;
+}
+
+// ─── Pay Schedule ─────────────────────────────────────────────────────────────
+// {mode, anchor}: month-based modes use the payday day-of-month setting, cycle
+// modes repeat every `days` from `anchor` (any past payday). A pay period runs
+// from one payday up to the day before the next.
+const PAY_MODES = [
+  {id:"monthly",        label:"Monthly, on a set day",     perYear:12},
+  {id:"lastWorkingDay", label:"Last working day of month", perYear:12},
+  {id:"weekly",         label:"Weekly",                    perYear:52, days:7},
+  {id:"biweekly",       label:"Every two weeks",           perYear:26, days:14},
+  {id:"fourweekly",     label:"Every four weeks",          perYear:13, days:28},
+];
+const payMode = schedule => PAY_MODES.find(m=>m.id===schedule.mode) || PAY_MODES[0];
+const addDays = (d, n) => { const x = new Date(d); x.setDate(x.getDate()+n); return x; };
+
+// Nominal paydays before any business-day adjustment
+function nominalPayDates(schedule, from, to) {
+  const {days} = payMode(schedule), out = [];
+  if (days) {
+    const anchor = schedule.anchor ? localDate(schedule.anchor) : from;
+    const d = addDays(anchor, Math.floor((from-anchor)/86400000/days)*days);
+    for (; d<=to; d.setDate(d.getDate()+days)) if (d>=from) out.push(new Date(d));
+    return out;
+  }
+  for (let y=from.getFullYear(), m=from.getMonth(); new Date(y,m,1)<=to; m++) {
+    const last = new Date(y,m+1,0).getDate(); // cap BEFORE constructing to avoid overflow
+    const d = new Date(y, m, schedule.mode==="lastWorkingDay" ? last : Math.min(schedule.day,last));
+    if (d>=from && d<=to) out.push(d);
+  }
+  return out;
+}
+
+// Paydays between two local dates (inclusive). Paydays on a weekend, holiday or
+// closure day move to the nearest business day in the `paydayRoll` direction.
+// The range is widened first so a payday rolled across the edge isn't lost.
+function payDates(schedule, from, to) {
+  const cal = schedule.cal || {};
+  return nominalPayDates(schedule, addDays(from,-7), addDays(to,7))
+    .map(d=>rollBusinessDay(d, cal, schedule.mode==="lastWorkingDay" ? "earlier" : cal.paydayRoll))
+    .filter(d=>d>=from && d<=to);
+}
+
+// The first payday after today — on payday itself the countdown restarts
+function getNextPayday(schedule) {
+  const today = new Date(); today.setHours(0,0,0,0);
+  return isoDate(payDates(schedule, addDays(today,1), addDays(today,70))[0] || addDays(today,1));
+}
+
+// Newest first: periods[0] is the one today falls in
+function getPayPeriods(spending, schedule, count=6) {
+  const next = localDate(getNextPayday(schedule));
+  const starts = payDates(schedule, addDays(next, -(count+1)*31), addDays(next,-1)).slice(-count).reverse();
+  let end = addDays(next,-1);
+  return starts.map(start=>{
+    const p = {start, end};
+    end = addDays(start,-1);
     return {
+      ...p,
       label: p.start.toLocaleDateString("en-GB",{day:"numeric",month:"short"}) + " – " + p.end.toLocaleDateString("en-GB",{day:"numeric",month:"short"}),
-      start: p.start, end: p.end,
       items: spending.filter(s => {
         const d = localDate(s.date); // FIX: local midnight, not UTC
-        return d >= p.start && d < endInclusive;
+        return d >= p.start && d <= p.end;
       }),
     };
   });
 }
 
+// ─── Bank Import ──────────────────────────────────────────────────────────────
+// Statement rows are normalised to {date,name,amount,credit} before review:
+// amount is always positive, credit marks money coming into the account.
+const DATE_FORMATS = [
+  {id:"dmy", label:"31/03/2024"},
+  {id:"mdy", label:"03/31/2024"},
+  {id:"ymd", label:"2024-03-31"},
+];
+const SIGN_MODES = [
+  {id:"negative", label:"Negative amounts are spending"},
+  {id:"positive", label:"Positive amounts are spending"},
+  {id:"column",   label:"Separate debit/credit column"},
+];
+const CSV_GUESS = {
+  date:   /date|datum|fecha|booked/i,
+  desc:   /desc|payee|narr|detail|memo|merchant|name|omschrijving|verwendung/i,
+  amount: /amount|betrag|bedrag|montant|importe|value/i,
+  sign:   /debit|credit|d\/c|dr\/cr|af.?bij|soll/i,
+};
+
+const pad2 = n => String(n).padStart(2,"0");
+// Local YYYY-MM-DD — toISOString() would shift the day in UTC+ zones
+function isoDate(d) {
+  return d.getFullYear() + "-" + pad2(d.getMonth()+1) + "-" + pad2(d.getDate());
+}
+
+function parseDateAs(str, order) {
+  const parts = String(str||"").trim().split(/\D+/).filter(Boolean);
+  if (parts.length<3) return null;
+  const v = {};
+  order.split("").forEach((k,i)=>{ v[k]=parseInt(parts[i],10); });
+  if (v.y<100) v.y += 2000;
+  const d = new Date(v.y, v.m-1, v.d);
+  if (d.getFullYear()!==v.y || d.getMonth()!==v.m-1 || d.getDate()!==v.d) return null;
+  return isoDate(d);
+}
+
+// Handles "1.234,56", "1,234.56", "-12.50", "12.50-", "(12.50)" and "€ 12,50"
+function parseAmount(raw) {
+  const str = String(raw??"").trim();
+  const neg = /^\(.*\)$/.test(str) || str.includes("-");
+  const s = str.replace(/[^\d.,]/g,"");
+  if (!s) return NaN;
+  const lastDot = s.lastIndexOf("."), lastComma = s.lastIndexOf(",");
+  const sep = lastDot>lastComma ? "." : ",";
+  const at = Math.max(lastDot,lastComma);
+  let n;
+  if (at<0) n = parseFloat(s);
+  else if ((lastDot<0||lastComma<0) && (s.split(sep).length>2 || s.length-at-1===3)) n = parseFloat(s.replace(/[.,]/g,""));
+  else n = parseFloat(s.slice(0,at).replace(/[.,]/g,"") + "." + s.slice(at+1));
+  return isNaN(n) ? NaN : neg ? -n : n;
+}
+
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/,"");
+  const first = src.split(/\r?\n/)[0]||"";
+  const delim = [";","\t"].reduce((best,d)=>first.split(d).length>first.split(best).length?d:best, ",");
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const endRow = () => { row.push(cell.trim()); cell=""; if (row.some(x=>x!=="")) rows.push(row); row=[]; };
+  for (let i=0; i<src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c==='"' && src[i+1]==='"') { cell+='"'; i++; }
+      else if (c==='"') quoted = false;
+      else cell += c;
+    }
+    else if (c==='"') quoted = true;
+    else if (c===delim) { row.push(cell.trim()); cell=""; }
+    else if (c==="\n"||c==="\r") { if (c==="\r"&&src[i+1]==="\n") i++; endRow(); }
+    else cell += c;
+  }
+  endRow();
+  return rows;
+}
+
+function guessCsvMapping(header) {
+  const map = {};
+  Object.entries(CSV_GUESS).forEach(([role,re])=>{
+    const i = header.findIndex((h,j)=>re.test(h) && !Object.values(map).includes(j));
+    if (i>=0) map[role] = i;
+  });
+  return map;
+}
+
+function guessDateOrder(rows, col) {
+  const sample = rows.slice(0,10).map(r=>r[col]).filter(Boolean);
+  const hit = DATE_FORMATS.find(f=>sample.length>0 && sample.every(v=>parseDateAs(v,f.id)));
+  return hit ? hit.id : DATE_FORMATS[0].id;
+}
+
+function csvStatementRows(rows, {hasHeader, map, order, signMode}) {
+  let unreadable = 0;
+  const out = rows.slice(hasHeader?1:0).map(r=>{
+    const date = parseDateAs(r[map.date], order);
+    const raw  = parseAmount(r[map.amount]);
+    if (!date || isNaN(raw) || raw===0) { unreadable++; return null; }
+    const credit = signMode==="column"
+      ? /^(c|cr|crdt|credit|bij|haben|\+)/i.test(r[map.sign]||"")
+      : signMode==="negative" ? raw>0 : raw<0;
+    return {date, name:String(r[map.desc]||"").replace(/\s+/g," ").trim(), amount:Math.abs(raw), credit};
+  }).filter(Boolean);
+  return {rows:out, unreadable};
+}
+
+// ─── Bank export formats (OFX, QIF, CAMT.053) ───
+function detectStatementFormat(text, fileName) {
+  if (/OFXHEADER|<OFX>/i.test(text)) return "ofx";
+  if (/^\s*!Type:/im.test(text)) return "qif";
+  if (/camt\.053|<BkToCstmrStmt/i.test(text)) return "camt";
+  if (/\.ofx$|\.qfx$/i.test(fileName)) return "ofx";
+  if (/\.qif$/i.test(fileName)) return "qif";
+  return "csv";
+}
+
+// OFX 1.x is SGML without closing tags, 2.x is XML — reading each tag up to the
+// next "<" or line break covers both
+function parseOfx(text) {
+  const tag = (block,name) => { const m = block.match(new RegExp("<"+name+">([^<\\r\\n]*)","i")); return m ? m[1].trim() : ""; };
+  const acct = tag(text,"ACCTID");
+  let unreadable = 0;
+  const rows = text.split(/<STMTTRN>/i).slice(1).map(block=>{
+    const d = tag(block,"DTPOSTED").slice(0,8);
+    const date = parseDateAs(d.slice(0,4)+"-"+d.slice(4,6)+"-"+d.slice(6,8), "ymd");
+    const raw = parseFloat(tag(block,"TRNAMT")); // always "." decimals, unlike a CSV
+    if (!date || isNaN(raw) || raw===0) { unreadable++; return null; }
+    const fitid = tag(block,"FITID");
+    return {
+      date, amount:Math.abs(raw), credit:raw>0,
+      name: (tag(block,"NAME") || tag(block,"MEMO") || tag(block,"PAYEE")).replace(/\s+/g," "),
+      bankId: fitid ? (acct?acct+":":"") + fitid : undefined,
+    };
+  }).filter(Boolean);
+  return {rows, unreadable};
+}
+
+// QIF has no transaction ids; the check number is used when the bank fills it in.
+// Dates follow the bank's locale, so the order comes from the format picker.
+function parseQif(text, order) {
+  let unreadable = 0;
+  const rows = text.split(/^\^\s*$/m).map(rec=>{
+    const f = {};
+    rec.split(/\r?\n/).forEach(line=>{ if (line && !line.startsWith("!") && f[line[0]]==null) f[line[0]] = line.slice(1).trim(); });
+    if (f.D==null && f.T==null && f.U==null) return null;
+    const date = parseDateAs(f.D, order);
+    const raw = parseAmount(f.T ?? f.U);
+    if (!date || isNaN(raw) || raw===0) { unreadable++; return null; }
+    return {
+      date, amount:Math.abs(raw), credit:raw>0,
+      name: (f.P || f.M || "").replace(/\s+/g," "),
+      bankId: f.N && /\d/.test(f.N) ? "qif:"+f.N : undefined,
+    };
+  }).filter(Boolean);
+  return {rows, unreadable};
+}
+
+// ISO 20022 bank-to-customer statement — one <Ntry> per booked entry
+function parseCamt(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const find = (el,path) => path.split("/").reduce((node,name)=>node && [...node.children].find(c=>c.localName===name), el);
+  const val  = (el,path) => (find(el,path)?.textContent||"").trim();
+  let unreadable = 0;
+  const rows = [...doc.getElementsByTagNameNS("*","Stmt")].flatMap(stmt=>{
+    const acct = val(stmt,"Acct/Id/IBAN") || val(stmt,"Acct/Id/Othr/Id");
+    return [...stmt.children].filter(c=>c.localName==="Ntry").map(ntry=>{
+      const date = parseDateAs(val(ntry,"BookgDt/Dt") || val(ntry,"BookgDt/DtTm") || val(ntry,"ValDt/Dt"), "ymd");
+      const amount = parseFloat(val(ntry,"Amt"));
+      if (!date || !(amount>0)) { unreadable++; return null; }
+      const credit = val(ntry,"CdtDbtInd")==="CRDT";
+      const tx = find(ntry,"NtryDtls/TxDtls");
+      const party = tx && (credit ? val(tx,"RltdPties/Dbtr/Nm") || val(tx,"RltdPties/Dbtr/Pty/Nm") : val(tx,"RltdPties/Cdtr/Nm") || val(tx,"RltdPties/Cdtr/Pty/Nm"));
+      const ref = val(ntry,"AcctSvcrRef") || val(ntry,"NtryRef") || (tx && (val(tx,"Refs/AcctSvcrRef") || val(tx,"Refs/EndToEndId")));
+      return {
+        date, amount, credit,
+        name: (party || (tx && val(tx,"RmtInf/Ustrd")) || val(ntry,"AddtlNtryInf")).replace(/\s+/g," "),
+        bankId: ref && ref!=="NOTPROVIDED" ? (acct?acct+":":"") + ref : undefined,
+      };
+    }).filter(Boolean);
+  });
+  return {rows, unreadable};
+}
+
+function parseStatement(text, format, order) {
+  if (format==="ofx")  return parseOfx(text);
+  if (format==="qif")  return parseQif(text, order);
+  if (format==="camt") return parseCamt(text);
+  return {rows:[], unreadable:0};
+}
+
+function spendKey(s) {
+  return s.date + "|" + Number(s.amount).toFixed(2) + "|" + String(s.name||"").trim().toLowerCase().replace(/\s+/g," ");
+}
+
+// Rows carrying the bank's own id match on that id alone. Otherwise each existing
+// entry can only absorb one imported row, so two identical coffees on the same
+// day in a fresh statement are both kept while a re-import is not.
+function markDuplicates(rows, spending) {
+  const ids = new Set(spending.filter(s=>s.bankId).map(s=>s.bankId));
+  const seen = {};
+  spending.forEach(s=>{ const k=spendKey(s); seen[k]=(seen[k]||0)+1; });
+  return rows.map(r=>{
+    if (r.bankId && ids.has(r.bankId)) return {...r,dup:true};
+    const k = spendKey(r);
+    if (!seen[k]) return {...r,dup:false};
+    seen[k]--; return {...r,dup:true};
+  });
+}
+
+function guessCategory(name, spending, cats) {
+  const norm = String(name||"").trim().toLowerCase();
+  const past = [...spending].reverse().find(s=>String(s.name||"").trim().toLowerCase()===norm && cats.includes(s.category));
+  if (past) return past.category;
+  return cats.includes("Other") ? "Other" : cats[0];
+}
+
+// ─── Splits ───
+// An expense can carry `splits` ([{category,amount}]) that add up to its amount.
+// Each line counts toward its own category and bucket; `category` is kept as the
+// largest line so anything reading one category still gets something sensible.
+const splitLines = s => s.splits?.length ? s.splits : [{category:s.category, amount:s.amount}];
+
+// What's left to assign (0 when the lines add up, or there are none)
+const splitGap = (splits, total) =>
+  splits?.length ? Math.round((total - splits.reduce((a,l)=>a+(l.amount||0),0))*100)/100 : 0;
+
+// Empty lines are dropped and a single line collapses back to a plain category
+function tidySplits(s) {
+  const {splits, ...rest} = s;
+  if (!splits || s.type!=="Expense") return rest;
+  const lines = splits.filter(l=>l.amount>0);
+  if (lines.length<2) return {...rest, category:lines[0]?.category ?? s.category};
+  return {...rest, splits:lines, category:[...lines].sort((a,b)=>b.amount-a.amount)[0].category};
+}
+
+// ─── Rollover ───
+// A bucket's optional `rollover` ({mode, cap, from}) turns it into an envelope:
+// what's left at the end of a period (or, for "both", what went over) is carried
+// into the next one. Carrying starts with the period that begins on `from`, and the
+// ledger reaches back that far; the history table shows its last ROLLOVER_PERIODS rows.
+const ROLLOVER_MODES = [
+  {id:"none",    label:"No rollover"},
+  {id:"surplus", label:"Carry surplus"},
+  {id:"both",    label:"Carry surplus and deficit"},
+  {id:"capped",  label:"Carry surplus up to a cap"},
+];
+const ROLLOVER_PERIODS = 24;
+const isFixed = b => b.mode==="fixed";
+
+// Fixed-amount buckets come off the top; percentage buckets share what's left
+function bucketIdeals(budget, total) {
+  const fixed = budget.filter(isFixed).reduce((a,b)=>a+num(b.amount),0);
+  const rest = Math.max(total-fixed, 0);
+  return Object.fromEntries(budget.map(b=>[b.id, isFixed(b) ? num(b.amount) : rest*b.pct/100]));
+}
+const rolls = b => !!b.rollover && b.rollover.mode!=="none";
+
+// Periods the ledger needs: every one since the earliest `from`, and at least
+// ROLLOVER_PERIODS for buckets carrying with no start date
+function rolloverCount(budget, schedule) {
+  const from = budget.filter(rolls).map(b=>b.rollover.from).filter(Boolean).sort()[0];
+  if (!from) return ROLLOVER_PERIODS;
+  const next = localDate(getNextPayday(schedule));
+  return Math.max(ROLLOVER_PERIODS, payDates(schedule, localDate(from), addDays(next,-1)).length + 1);
+}
+
+function carryOver(leftover, rollover) {
+  switch (rollover?.mode) {
+    case "surplus": return Math.max(leftover, 0);
+    case "both":    return leftover;
+    case "capped":  return Math.min(Math.max(leftover, 0), num(rollover.cap));
+    default:        return 0;
+  }
+}
+
+// One row per period, oldest first: `carry` is what came in from the period before
+function bucketLedger(bucket, periods, baseOf, spentOf) {
+  const from = bucket.rollover?.from || "";
+  let carry = 0;
+  return periods.filter(p=>isoDate(p.start)>=from).map(p=>{
+    const base = baseOf(p), spent = spentOf(p);
+    const row = {start:isoDate(p.start), label:p.label, base, carry, available:base+carry, spent};
+    carry = carryOver(row.available - spent, bucket.rollover);
+    return {...row, out:carry};
+  });
+}
+
+// ─── Alerts ───
+// Threshold alerts fire when a bucket (or the whole free-to-spend amount) passes a
+// share of its budget; a pace alert when spending runs well ahead of the share of
+// the period gone by (not in its first tenth, when one big shop would trip it).
+// Keys name the period, scope and kind, so each alert fires at most once per
+// period. Everything runs on the device.
+const ALERT_FEED_MAX = 50;
+
+// "80, 100" → [80,100]; anything unreadable is dropped
+const parseThresholds = str => [...new Set(String(str).split(/[,\s]+/).map(Number).filter(n=>n>0))].sort((a,b)=>a-b);
+
+function budgetAlerts(scopes, periodStart, elapsed, prefs) {
+  const out = [];
+  scopes.forEach(sc=>{
+    // Used up by a real deficit (a carried shortfall, or bills past income): any
+    // spending is over budget. A scope never given an allocation stays quiet.
+    if (sc.budget<=0) {
+      if (sc.spent>0 && (sc.budget<0 || sc.base>0)) out.push({key:`${periodStart}|${sc.id}|100`, level:"over",
+        title:`${sc.label}: over budget`,
+        body:`${fmt(sc.spent)} spent with ${sc.budget<0 ? `a ${fmt(-sc.budget)} shortfall` : "no budget"} this period`});
+      return;
+    }
+    const used = sc.spent/sc.budget*100;
+    const hit = [...sc.thresholds].reverse().find(t=>used>=t);
+    if (hit!=null) {
+      out.push({key:`${periodStart}|${sc.id}|${hit}`, level:hit>=100?"over":"warn",
+        title:`${sc.label}: ${hit>=100?"over budget":`${hit}% used`}`,
+        body:`${fmt(sc.spent)} of ${fmt(sc.budget)} spent this period`});
+    } else if (prefs.pace && elapsed>=0.1 && elapsed<1 && used-elapsed*100>=prefs.paceMargin) {
+      out.push({key:`${periodStart}|${sc.id}|pace`, level:"pace",
+        title:`${sc.label}: spending ahead of pace`,
+        body:`${Math.round(used)}% used with ${Math.round(elapsed*100)}% of the period gone`});
+    }
+  });
+  return out;
+}
+
+function notify(title, body, tag) {
+  try {
+    if (typeof Notification!=="undefined" && Notification.permission==="granted") new Notification(title, {body, tag});
+  } catch(e) {
+    console.warn("Notification failed:", e);
+  }
+}
+
+// ─── Comparison ───
+// A period is compared with the one before it and with the average of up to
+// three periods before it. While a period is in progress every period is cut to the
+// same number of days in, so a half-finished month isn't set against full ones.
+const TRAILING_PERIODS = 3;
+
+function spendBy(period, days, keyOf, linesOf) {
+  const cutoff = days!=null ? isoDate(addDays(period.start, days-1)) : null;
+  const out = {};
+  period.items.forEach(s=>{
+    if (cutoff && s.date>cutoff) return;
+    linesOf(s).forEach(l=>[].concat(keyOf(l)).forEach(k=>{ out[k] = (out[k]||0) + l.amount; }));
+  });
+  return out;
+}
+
+function comparePeriods(periods, idx, today, keyOf, linesOf) {
+  const cur = periods[idx];
+  const days = today<=isoDate(cur.end) ? Math.round((localDate(today)-cur.start)/86400000)+1 : null;
+  const now = spendBy(cur, days, keyOf, linesOf);
+  const earlier = periods.slice(idx+1, idx+1+TRAILING_PERIODS).map(p=>spendBy(p, days, keyOf, linesOf));
+  const keys = [...new Set([...Object.keys(now), ...earlier.flatMap(e=>Object.keys(e))])];
+  const row = k => ({
+    key:k, now:now[k]||0,
+    prev: earlier.length ? earlier[0][k]||0 : null,
+    avg:  earlier.length ? earlier.reduce((a,e)=>a+(e[k]||0),0)/earlier.length : null,
+  });
+  return {days, periods:earlier.length, rows:Object.fromEntries(keys.map(k=>[k,row(k)])), row};
+}
+
+// ─── Search ───
+// A filter is plain data so it can be saved and re-applied later. Date ranges
+// other than "custom" are relative, so a saved "this year" view keeps up.
+const EMPTY_FILTER = {q:"", cats:[], types:[], tags:[], goalId:"", min:"", max:"", range:"all", from:"", to:""};
+const DATE_RANGES = [
+  {id:"all",       label:"Any time"},
+  {id:"last30",    label:"Last 30 days"},
+  {id:"thisMonth", label:"This month"},
+  {id:"last90",    label:"Last 90 days"},
+  {id:"thisYear",  label:"This year"},
+  {id:"lastYear",  label:"Last year"},
+  {id:"custom",    label:"Custom dates"},
+];
+
+function filterDates(f, today) {
+  const t = localDate(today), y = t.getFullYear();
+  switch (f.range) {
+    case "last30":    return [isoDate(addDays(t,-29)), today];
+    case "last90":    return [isoDate(addDays(t,-89)), today];
+    case "thisMonth": return [isoDate(new Date(y,t.getMonth(),1)), today];
+    case "thisYear":  return [`${y}-01-01`, `${y}-12-31`];
+    case "lastYear":  return [`${y-1}-01-01`, `${y-1}-12-31`];
+    case "custom":    return [f.from||"", f.to||""];
+    default:          return ["", ""];
+  }
+}
+
+function matchesFilter(s, f, today) {
+  const q = f.q.trim().toLowerCase();
+  if (q && ![s.name, s.note, ...splitLines(s).map(l=>l.category), ...(s.tags||[])].some(v=>String(v||"").toLowerCase().includes(q))) return false;
+  if (f.cats.length && !splitLines(s).some(l=>f.cats.includes(l.category))) return false;
+  if (f.tags?.length && !f.tags.some(t=>(s.tags||[]).includes(t))) return false;
+  if (f.types.length && !f.types.includes(s.type)) return false;
+  if (f.goalId && String(s.goalId)!==String(f.goalId) && String(s.toGoalId)!==String(f.goalId)) return false;
+  // A cleared amount field reads as 0, which means no limit
+  if (num(f.min)>0 && s.amount<num(f.min)) return false;
+  if (num(f.max)>0 && s.amount>num(f.max)) return false;
+  const [from, to] = filterDates(f, today);
+  return (!from || s.date>=from) && (!to || s.date<=to);
+}
+const isFiltering = f =>
+  !!(f.q.trim() || f.cats.length || f.types.length || f.tags?.length || f.goalId || num(f.min)>0 || num(f.max)>0 || f.range!=="all");
+
+// ─── Income ───────────────────────────────────────────────────────────────────
+// Logged "Income" transactions carry a sourceId. The salary setting is the
+// expected baseline: until a salary-kind source is logged in a period it is
+// assumed, once one is the logged amount counts instead. A source with
+// transactions is only ever `archived`, never removed, so its kind still counts.
+function periodIncome(items, sources, expectedSalary) {
+  const salaryIds = new Set(sources.filter(x=>x.kind==="salary").map(x=>x.id));
+  const bySource = {};
+  let salary = 0, other = 0;
+  items.filter(s=>s.type==="Income").forEach(s=>{
+    bySource[s.sourceId] = (bySource[s.sourceId]||0) + s.amount;
+    if (salaryIds.has(s.sourceId)) salary += s.amount; else other += s.amount;
+  });
+  return {salary, other, expected:expectedSalary, bySource, total:(salary||expectedSalary)+other};
+}
+
+// Credits from a payee logged as income before, or that look like wages
+function guessIncomeSource(name, spending, sources) {
+  const norm = String(name||"").trim().toLowerCase();
+  const past = [...spending].reverse().find(s=>s.type==="Income" && String(s.name||"").trim().toLowerCase()===norm);
+  if (past && sources.some(x=>x.id===past.sourceId)) return past.sourceId;
+  if (/salar|wage|payroll|gehalt|lohn|salaris|loon|nómina|stipendio/i.test(norm)) return sources.find(x=>x.kind==="salary")?.id ?? null;
+  return null;
+}
+
+// ─── Recurring ────────────────────────────────────────────────────────────────
+// A template posts one "Expense" per occurrence on or after its `since` date,
+// tagged {recurringId, occurrence}. `skips` lists occurrences not to post and
+// `overrides` maps an occurrence date to a one-off amount.
+// Week-based schedules repeat from `startDate`; month-based ones fall on
+// `dayOfMonth` (a number, or "last") in every nth month counted from `startDate`.
+const FREQUENCIES = [
+  {id:"weekly",      label:"Weekly",      days:7},
+  {id:"fortnightly", label:"Fortnightly", days:14},
+  {id:"monthly",     label:"Monthly",     months:1},
+  {id:"quarterly",   label:"Quarterly",   months:3},
+  {id:"yearly",      label:"Yearly",      months:12},
+];
+
+function recurringDates(r, from, to) {
+  const freq = FREQUENCIES.find(f=>f.id===(r.frequency||"monthly"));
+  const anchor = r.startDate ? localDate(r.startDate) : null;
+  const start = anchor && anchor>localDate(from) ? anchor : localDate(from);
+  const end = localDate(to), out = [];
+  if (freq.days) {
+    if (!anchor) return out;
+    const d = new Date(anchor);
+    d.setDate(d.getDate() + Math.floor((start-anchor)/86400000/freq.days)*freq.days);
+    for (; d<=end; d.setDate(d.getDate()+freq.days)) if (d>=start) out.push(isoDate(d));
+    return out;
+  }
+  const anchorMonth = anchor ? anchor.getFullYear()*12 + anchor.getMonth() : 0;
+  for (let y=start.getFullYear(), m=start.getMonth(); new Date(y,m,1)<=end; m++) {
+    if ((y*12+m-anchorMonth) % freq.months !== 0) continue;
+    const last = new Date(y,m+1,0).getDate();
+    const d = new Date(y, m, r.dayOfMonth==="last" ? last : Math.min(r.dayOfMonth,last));
+    if (d>=start && d<=end) out.push(isoDate(d));
+  }
+  return out;
+}
+
+function recurringLabel(r) {
+  const f = r.frequency||"monthly";
+  const day = r.dayOfMonth==="last" ? "last day" : `day ${r.dayOfMonth}`;
+  if (f==="monthly") return day;
+  const start = localDate(r.startDate);
+  if (f==="weekly") return "every " + start.toLocaleDateString("en-GB",{weekday:"long"});
+  if (f==="fortnightly") return "every other " + start.toLocaleDateString("en-GB",{weekday:"long"});
+  const month = start.toLocaleDateString("en-GB",{month:"short"});
+  return f==="yearly" ? `yearly · ${day} of ${month}` : `quarterly · ${day} from ${month}`;
+}
+
+const occurrenceAmount = (r, date) => r.overrides?.[date] ?? r.amount;
+const occurrenceKey = (id, date) => id + "|" + date;
+
+// Occurrences whose due date — moved off weekends and holidays only if the
+// calendar's bill setting asks for it — falls between two YYYY-MM-DD dates. `occurrence` stays the
+// nominal date: it keys skips, overrides and posted entries.
+function billDates(r, from, to, cal) {
+  const nominal = recurringDates(r, isoDate(addDays(localDate(from),-7)), isoDate(addDays(localDate(to),7)));
+  return nominal
+    .filter(d=>!r.since || d>=r.since)
+    .map(d=>({occurrence:d, date:!cal.billRoll || cal.billRoll==="none" ? d : isoDate(rollBusinessDay(localDate(d), cal, cal.billRoll))}))
+    .filter(o=>o.date>=from && o.date<=to);
+}
+
+// Occurrences due on or before `upTo` that are neither skipped nor logged yet
+function dueRecurring(recurring, spending, upTo, cal) {
+  const posted = new Set(spending.filter(s=>s.recurringId).map(s=>occurrenceKey(s.recurringId,s.occurrence)));
+  const base = Date.now();
+  return recurring.flatMap(r=>
+    billDates(r, r.since||upTo, upTo, cal)
+      .filter(o=>!(r.skips||[]).includes(o.occurrence) && !posted.has(occurrenceKey(r.id,o.occurrence)))
+      .map(o=>({name:r.name, category:r.category, amount:occurrenceAmount(r,o.occurrence), date:o.date, type:"Expense", goalId:"", recurringId:r.id, occurrence:o.occurrence}))
+  ).map((e,i)=>({id:base+i,...e}));
+}
+
+// Every occurrence inside a period with its status: posted, skipped or upcoming
+function periodBills(recurring, spending, from, to, cal) {
+  const logged = {};
+  spending.forEach(s=>{ if (s.recurringId) logged[occurrenceKey(s.recurringId,s.occurrence)] = s; });
+  return recurring.flatMap(r=>billDates(r, from, to, cal).map(({occurrence,date})=>{
+    const entry = logged[occurrenceKey(r.id,occurrence)];
+    const status = entry ? "posted" : (r.skips||[]).includes(occurrence) ? "skipped" : "upcoming";
+    return {r, occurrence, date, status, entry, amount:entry ? entry.amount : occurrenceAmount(r,occurrence)};
+  })).sort((a,b)=>a.date<b.date?-1:1);
+}
+
+// ─── Goals ────────────────────────────────────────────────────────────────────
+// A goal's balance is never stored: it's the sum of its ledger — linked
+// transactions plus manual `adjustments` ({id,date,amount,reason}). Money goes
+// in by "Transfer to Savings"/"Investment", out by "Withdrawal", and a "Goal
+// Transfer" moves it from `goalId` to `toGoalId`. A withdrawal can name the
+// expense it `covers`; that much of the expense is funded from savings, not the period. Optional
+// `targetDate` and `priority` drive the plan (what's still needed per month and
+// per pay period); pace is the real rate of logged transfers.
+const GOAL_PRIORITIES = [
+  {id:"high",   label:"High",   rank:0},
+  {id:"medium", label:"Medium", rank:1},
+  {id:"low",    label:"Low",    rank:2},
+];
+const goalPriority = g => GOAL_PRIORITIES.find(p=>p.id===g.priority) || GOAL_PRIORITIES[1];
+const PACE_DAYS = 90;
+
+const isGoalTransfer = (s, goalId) =>
+  (s.type==="Transfer to Savings" || s.type==="Investment") && parseInt(s.goalId)===goalId;
+
+// Signed effect of one transaction on a goal's balance
+function goalFlow(s, goalId) {
+  if (isGoalTransfer(s, goalId)) return s.amount;
+  if (s.type==="Withdrawal" && parseInt(s.goalId)===goalId) return -s.amount;
+  if (s.type==="Goal Transfer") return parseInt(s.goalId)===goalId ? -s.amount : parseInt(s.toGoalId)===goalId ? s.amount : 0;
+  return 0;
+}
+// Expense id → how much of it withdrawals paid for, never more than the expense
+function fundedAmounts(spending) {
+  const byId = new Map(spending.map(s=>[s.id, s]));
+  const out = new Map();
+  spending.filter(s=>s.type==="Withdrawal" && s.covers).forEach(w=>{
+    const e = byId.get(w.covers);
+    if (e) out.set(e.id, Math.min((out.get(e.id)||0) + w.amount, e.amount));
+  });
+  return out;
+}
+
+function goalLedger(goal, spending) {
+  const transfers = spending.filter(s=>goalFlow(s, goal.id))
+    .map(s=>({id:"t"+s.id, date:s.date, amount:goalFlow(s, goal.id), label:s.name||s.type, entry:s}));
+  const adjustments = (goal.adjustments||[])
+    .map(a=>({id:"a"+a.id, date:a.date, amount:a.amount, label:a.reason||"Adjustment", adjustment:a}));
+  return [...transfers, ...adjustments].sort((a,b)=>a.date<b.date?-1:a.date>b.date?1:0);
+}
+const goalBalance = (goal, spending) => goalLedger(goal, spending).reduce((a,x)=>a+x.amount,0);
+
+// Net €/day over the last 90 days, or since the first transaction if that's more
+// recent (but never less than 30 days, so one deposit doesn't look like a habit)
+function goalPace(goal, spending, today) {
+  const flows = spending.filter(s=>goalFlow(s, goal.id));
+  if (!flows.length) return 0;
+  const first = flows.reduce((a,s)=>s.date<a ? s.date : a, today);
+  const since = Math.round((localDate(today)-localDate(first))/86400000) + 1;
+  const days = Math.min(PACE_DAYS, Math.max(30, since));
+  const from = isoDate(addDays(localDate(today), -days+1));
+  return flows.filter(s=>s.date>=from && s.date<=today).reduce((a,s)=>a+goalFlow(s, goal.id),0) / days;
+}
+
+function goalPlan(goal, balance, today, perYear) {
+  const left = Math.max(goal.target-balance, 0);
+  if (!goal.targetDate || !left) return null;
+  const days = Math.round((localDate(goal.targetDate)-localDate(today))/86400000);
+  if (days<=0) return {left, days, overdue:true, perMonth:left, perPeriod:left};
+  return {
+    left, days, overdue:false,
+    perMonth:  left / Math.max(days/(365/12), 1),
+    perPeriod: left / Math.max(days*perYear/365, 1),
+  };
+}
+
+// ─── Payday Sweep ─────────────────────────────────────────────────────────────
+// goal.sweep = {mode, amount, pct, bucket}: which budget bucket funds the goal
+// on payday and how much of it. Savings-bucket money is logged as "Transfer to
+// Savings", Investments-bucket money as "Investment".
+const SWEEP_MODES = [
+  {id:"none",    label:"Not swept"},
+  {id:"fixed",   label:"Fixed amount"},
+  {id:"percent", label:"% of the bucket"},
+  {id:"fill",    label:"Fill in priority order"},
+];
+const SWEEP_BUCKETS = [
+  {id:"Savings",     label:"Savings bucket",     type:"Transfer to Savings", role:"savings"},
+  {id:"Investments", label:"Investments bucket", type:"Investment",          role:"investments"},
+];
+
+// Each bucket pays its fixed amounts first, then percentages of its allowance,
+// then fills the remaining goals in priority order with whatever is left.
+// Nothing is proposed past a goal's target.
+function proposeSweep(goals, balances, allowances) {
+  const out = [];
+  SWEEP_BUCKETS.forEach(b=>{
+    const total = allowances[b.id]||0;
+    let pot = total;
+    const mine = goals
+      .filter(g=>g.sweep && g.sweep.mode!=="none" && (g.sweep.bucket||"Savings")===b.id)
+      .sort((x,y)=>goalPriority(x).rank-goalPriority(y).rank);
+    const give = (g, want) => {
+      const amount = Math.round(Math.max(0, Math.min(want, pot, g.target-balances[g.id]))*100)/100;
+      pot -= amount;
+      if (amount>0) out.push({goalId:g.id, type:b.type, amount});
+    };
+    mine.filter(g=>g.sweep.mode==="fixed").forEach(g=>give(g, num(g.sweep.amount)));
+    mine.filter(g=>g.sweep.mode==="percent").forEach(g=>give(g, total*num(g.sweep.pct)/100));
+    mine.filter(g=>g.sweep.mode==="fill").forEach(g=>give(g, pot));
+  });
+  return out;
+}
+
 const CAT_EMOJI = {
   "Groceries":"🛒","Transport":"🚌","Dining":"🍽️","Beauty":"💅","Home":"🏠",
   "Entertainment":"🎬","Clothing":"👗","Health":"💊","Travel":"✈️","Other":"📦",
-  "Savings":"🐷","Investments":"📈","Home & Bills":"🏠","Personal & Fun":"✨",
+  "Income":"💶","Savings":"🐷","Investments":"📈","Home & Bills":"🏠","Personal & Fun":"✨",
 };
 function CatEmoji({cat, size=18}) {
   return <span style={{fontSize:size,lineHeight:1,display:"inline-block"}}>{CAT_EMOJI[cat]||"💰"}</span>;
@@ -200,6 +1266,83 @@ const Bar = ({pct,color=T.sand,style}) => (
     <div style={{height:"100%",width:`${Math.min(pct||0,100)}%`,background:color,borderRadius:100,transition:"width 0.7s ease"}}/>
   </div>
 );
+// Running balance over time (a step line) with the target as a dashed rule
+const GoalChart = ({ledger, target, today}) => {
+  if (!ledger.length) return null;
+  const W=300, H=90, start=localDate(ledger[0].date), span=Math.max(localDate(today)-start, 86400000);
+  let bal = 0;
+  const pts = [[0,0]];
+  ledger.forEach(x=>{ const t=(localDate(x.date)-start)/span; pts.push([t,bal]); bal+=x.amount; pts.push([t,bal]); });
+  pts.push([1,bal]);
+  const top = Math.max(target, ...pts.map(p=>p[1]), 1);
+  const xy = ([t,v]) => `${(t*W).toFixed(1)},${(H-Math.max(v,0)/top*H).toFixed(1)}`;
+  const line = pts.map(xy).join(" ");
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{width:"100%",height:H,display:"block"}} preserveAspectRatio="none">
+      <polygon points={`0,${H} ${line} ${W},${H}`} fill={T.sage+"22"}/>
+      <polyline points={line} fill="none" stroke={T.sage} strokeWidth={1.5} vectorEffect="non-scaling-stroke"/>
+      <line x1={0} x2={W} y1={H-target/top*H} y2={H-target/top*H} stroke={T.inkLight} strokeDasharray="4 4" strokeWidth={1} vectorEffect="non-scaling-stroke"/>
+    </svg>
+  );
+};
+
+// ─── Charts ───
+const CHART_COLORS = [T.clay, T.sage, T.sand, T.mist, T.blush, T.teal, "#c4a060", "#8aab7a", "#9a8ab0", "#d49a7a"];
+
+// First, middle and last period labels under a chart
+const ChartAxis = ({labels}) => (
+  <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:10,color:T.inkLight,marginTop:4}}>
+    {[...new Set([0, Math.floor((labels.length-1)/2), labels.length-1])].map(i=><span key={i}>{labels[i]}</span>)}
+  </div>
+);
+
+// One series across periods (oldest first) with a dashed average; the last
+// point is the current period and gets a highlight band
+const TrendLine = ({values, labels, color=T.clay}) => {
+  const W=300, H=120, P=6, n=values.length;
+  const top = Math.max(...values, 1) * 1.1;
+  const x = i => n>1 ? P + i*(W-2*P)/(n-1) : W/2;
+  const y = v => H - v/top*H;
+  const avg = values.reduce((a,v)=>a+v,0)/(n||1);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{width:"100%",height:H,display:"block",overflow:"visible"}}>
+        <rect x={x(n-1)-9} y={0} width={18} height={H} rx={4} fill={color+"18"}/>
+        <line x1={0} x2={W} y1={y(avg)} y2={y(avg)} stroke={T.inkLight} strokeDasharray="4 4" strokeWidth={1}/>
+        <polyline points={values.map((v,i)=>`${x(i)},${y(v)}`).join(" ")} fill="none" stroke={color} strokeWidth={1.8} strokeLinejoin="round"/>
+        {values.map((v,i)=><circle key={i} cx={x(i)} cy={y(v)} r={i===n-1?4:2.2} fill={i===n-1?color:T.white} stroke={color} strokeWidth={1.4}/>)}
+      </svg>
+      <ChartAxis labels={labels}/>
+    </div>
+  );
+};
+
+// series = [{label, color, values}] stacked per period; current period outlined
+const StackedBars = ({series, labels}) => {
+  const W=300, H=120, n=labels.length, gap=n>12?2:4, bw=(W-gap*(n-1))/n;
+  const totals = labels.map((_,i)=>series.reduce((a,s)=>a+s.values[i],0));
+  const top = Math.max(...totals, 1);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{width:"100%",height:H,display:"block",overflow:"visible"}}>
+        {labels.map((_,i)=>{
+          let y0 = H;
+          return (
+            <g key={i} opacity={i===n-1?1:0.75}>
+              {series.map(s=>{
+                const h = s.values[i]/top*H; y0 -= h;
+                return h>0 && <rect key={s.label} x={i*(bw+gap)} y={y0} width={bw} height={h} fill={s.color}/>;
+              })}
+            </g>
+          );
+        })}
+        {totals[n-1]>0 && <rect x={(n-1)*(bw+gap)-1} y={H-totals[n-1]/top*H-1} width={bw+2} height={totals[n-1]/top*H+2} fill="none" stroke={T.ink} strokeWidth={1}/>}
+      </svg>
+      <ChartAxis labels={labels}/>
+    </div>
+  );
+};
+
 const Pill = ({children,color,bg}) => (
   <span style={{fontFamily:T.sans,fontSize:11,fontWeight:500,letterSpacing:0.3,padding:"4px 10px",borderRadius:100,background:bg||color+"22",color,display:"inline-block"}}>{children}</span>
 );
@@ -208,6 +1351,10 @@ const TypeBadge = ({type}) => {
     "Expense":             {color:T.clay, bg:T.clay+"22", label:"Expense"},
     "Transfer to Savings": {color:T.sage, bg:T.sage+"22", label:"→ Savings"},
     "Investment":          {color:T.teal, bg:T.teal+"22", label:"Investment"},
+    "Income":              {color:T.sage, bg:T.sage+"22", label:"+ Income"},
+    "Withdrawal":          {color:T.blush, bg:T.blush+"22", label:"← Savings"},
+    "Goal Transfer":       {color:T.sand, bg:T.sand+"22", label:"Goal → Goal"},
+    "Credit":              {color:T.mist, bg:T.mist+"33", label:"+ Credit"},
   };
   const s = map[type]||map["Expense"];
   return <Pill color={s.color} bg={s.bg}>{s.label}</Pill>;
@@ -228,6 +1375,7 @@ const Icon = ({name,size=22,color="currentColor",strokeWidth=1.4}) => {
     trash:   <><path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round"/></>,
     edit:    <><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round"/><path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round"/></>,
     repeat:  <><path d="M17 1l4 4-4 4" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round"/><path d="M3 11V9a4 4 0 014-4h14M7 23l-4-4 4-4" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round"/><path d="M21 13v2a4 4 0 01-4 4H3" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round"/></>,
+    bell:    <><path d="M18 8a6 6 0 00-12 0c0 7-3 9-3 9h18s-3-2-3-9M13.73 21a2 2 0 01-3.46 0" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round"/></>,
     transfer:<><path d="M5 12h14M15 6l6 6-6 6" fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round"/></>,
   };
   return <svg viewBox="0 0 24 24" style={s}>{paths[name]}</svg>;
@@ -340,16 +1488,305 @@ function Toast({message,visible}) {
   );
 }
 
+function ScheduleFields({value, onChange}) {
+  const freq = FREQUENCIES.find(f=>f.id===(value.frequency||"monthly"));
+  return (
+    <>
+      <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+        <Field label="Repeats">
+          <Sel value={freq.id} onChange={e=>onChange({...value,frequency:e.target.value})}>
+            {FREQUENCIES.map(f=><option key={f.id} value={f.id}>{f.label}</option>)}
+          </Sel>
+        </Field>
+        <Field label={freq.days?"First payment":"Starting"}>
+          <TextInput type="date" value={value.startDate||""} onChange={e=>onChange({...value,startDate:e.target.value})}/>
+        </Field>
+      </div>
+      {freq.months && (
+        <Field label="Day of month">
+          <Sel value={String(value.dayOfMonth)} onChange={e=>onChange({...value,dayOfMonth:e.target.value==="last"?"last":parseInt(e.target.value)})}>
+            {Array.from({length:31},(_,i)=><option key={i+1} value={i+1}>{i+1}</option>)}
+            <option value="last">Last day of month</option>
+          </Sel>
+        </Field>
+      )}
+    </>
+  );
+}
+
+// Tags as removable chips plus a text box that suggests known tags as you type
+function TagInput({value, onChange, known}) {
+  const [text, setText] = useState("");
+  const tags = value || [];
+  const q = text.trim().replace(/^#/,"").toLowerCase();
+  const suggestions = q ? known.filter(t=>t.toLowerCase().includes(q) && !tags.includes(t)).slice(0,6) : [];
+  const add = raw => {
+    const name = String(raw).trim().replace(/^#/,"");
+    const tag = known.find(t=>t.toLowerCase()===name.toLowerCase()) || name;
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setText("");
+  };
+  return (
+    <div>
+      {tags.length>0 && (
+        <div style={{display:"flex",gap:6,flexWrap:"wrap",marginBottom:8}}>
+          {tags.map(t=>(
+            <span key={t} style={{display:"flex",alignItems:"center",gap:4,background:T.paper,borderRadius:100,padding:"4px 8px 4px 10px",fontFamily:T.sans,fontSize:12,color:T.ink}}>
+              #{t}
+              <button onClick={()=>onChange(tags.filter(x=>x!==t))} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                <Icon name="close" size={11} color={T.ink}/>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <TextInput placeholder="Add a tag…" value={text} onChange={e=>setText(e.target.value.replace(/,/g,""))}
+        onKeyDown={e=>{ if ((e.key==="Enter"||e.key===",") && text.trim()) { e.preventDefault(); add(text); } }}
+        onBlur={()=>{ if (text.trim()) add(text); }}/>
+      {suggestions.length>0 && (
+        <div style={{display:"flex",gap:6,flexWrap:"wrap",marginTop:6}}>
+          {suggestions.map(t=>(
+            <button key={t} onMouseDown={e=>e.preventDefault()} onClick={()=>add(t)} style={{fontFamily:T.sans,fontSize:12,padding:"4px 10px",borderRadius:100,cursor:"pointer",border:`1px solid ${T.border}`,background:"transparent",color:T.inkLight}}>#{t}</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Category lines for a split expense, with what's still left to assign
+function SplitFields({value, total, cats, onChange}) {
+  const gap = splitGap(value, total);
+  const set = (i, patch) => onChange(value.map((l,j)=>j===i?{...l,...patch}:l));
+  return (
+    <div style={{display:"grid",gap:8}}>
+      {value.map((l,i)=>(
+        <div key={i} style={{display:"flex",gap:8,alignItems:"center"}}>
+          <Sel value={l.category} onChange={e=>set(i,{category:e.target.value})} style={{flex:1}}>
+            {cats.map(c=><option key={c}>{c}</option>)}
+          </Sel>
+          <NumInput value={l.amount||""} onChange={v=>set(i,{amount:v})} placeholder="0" style={{width:96,flexShrink:0}}/>
+          <button onClick={()=>onChange(value.filter((_,j)=>j!==i))} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+            <Icon name="close" size={14} color={T.ink}/>
+          </button>
+        </div>
+      ))}
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+        <button onClick={()=>onChange([...value,{category:cats.find(c=>!value.some(l=>l.category===c))||cats[0],amount:Math.max(gap,0)}])}
+          style={{background:"none",border:"none",cursor:"pointer",padding:0,fontFamily:T.sans,fontSize:12,color:T.clay}}>+ Add line</button>
+        <span style={{fontFamily:T.sans,fontSize:12,color:gap===0?T.sage:T.clay}}>
+          {gap===0 ? "Adds up ✓" : gap>0 ? `€${gap.toFixed(2)} left to assign` : `€${(-gap).toFixed(2)} over the total`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Payday sweep rule for a goal: mode plus the amount, % and bucket it needs
+function SweepFields({value, onChange}) {
+  const v = value || {mode:"none"};
+  return (
+    <>
+      <div style={{display:"grid",gridTemplateColumns:v.mode==="none"?"1fr":"1fr 1fr",gap:10}}>
+        <Field label="Payday sweep">
+          <Sel value={v.mode} onChange={e=>onChange({bucket:"Savings",...v,mode:e.target.value})}>
+            {SWEEP_MODES.map(m=><option key={m.id} value={m.id}>{m.label}</option>)}
+          </Sel>
+        </Field>
+        {v.mode!=="none" && (
+          <Field label="Paid from">
+            <Sel value={v.bucket||"Savings"} onChange={e=>onChange({...v,bucket:e.target.value})}>
+              {SWEEP_BUCKETS.map(b=><option key={b.id} value={b.id}>{b.label}</option>)}
+            </Sel>
+          </Field>
+        )}
+      </div>
+      {v.mode==="fixed" && (
+        <Field label="Amount each payday (€)"><NumInput value={v.amount||""} onChange={n=>onChange({...v,amount:n})} placeholder="0"/></Field>
+      )}
+      {v.mode==="percent" && (
+        <Field label="Share of the bucket (%)"><NumInput value={v.pct||""} onChange={n=>onChange({...v,pct:Math.min(100,Math.max(0,n))})} placeholder="e.g. 50"/></Field>
+      )}
+    </>
+  );
+}
+
+function ImportFlow({spending, spendCats, incomeSources, onImport}) {
+  const [file,      setFile]      = useState(null);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [map,       setMap]       = useState({});
+  const [order,     setOrder]     = useState(DATE_FORMATS[0].id);
+  const [signMode,  setSignMode]  = useState("negative");
+  const [picks,     setPicks]     = useState({});
+
+  function loadFile(e) {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return;
+    f.text().then(text=>{
+      const format = detectStatementFormat(text, f.name);
+      setPicks({});
+      if (format==="qif") {
+        const dates = text.split(/\r?\n/).filter(l=>l[0]==="D").map(l=>[l.slice(1)]);
+        setFile({name:f.name, format, text});
+        setOrder(guessDateOrder(dates, 0));
+        return;
+      }
+      if (format!=="csv") { setFile({name:f.name, format, text}); return; }
+      const rows = parseCsv(text);
+      const guess = guessCsvMapping(rows[0]||[]);
+      setFile({name:f.name, format, rows});
+      setMap(guess);
+      setOrder(guessDateOrder(rows.slice(1), guess.date??0));
+      setSignMode(guess.sign!=null?"column":"negative");
+    });
+  }
+
+  if (!file) return (
+    <div style={{display:"grid",gap:14}}>
+      <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,lineHeight:1.6}}>
+        Export a statement from your bank as CSV, OFX, QIF or CAMT.053 and pick it here. You'll check every row before anything is saved.
+      </div>
+      <label style={{border:`1.5px dashed ${T.border}`,borderRadius:14,padding:"28px 16px",textAlign:"center",cursor:"pointer",fontFamily:T.sans,fontSize:14,color:T.ink}}>
+        Choose statement file
+        <input type="file" accept=".csv,.ofx,.qfx,.qif,.xml,.053,text/csv,text/plain,application/xml" onChange={loadFile} style={{display:"none"}}/>
+      </label>
+    </div>
+  );
+
+  const isCsv = file.format==="csv";
+  const header = isCsv ? file.rows[0]||[] : [];
+  const colName = i => hasHeader&&header[i] ? header[i] : `Column ${i+1}`;
+  const mapped = !isCsv || (map.date!=null && map.amount!=null && (signMode!=="column"||map.sign!=null));
+  const parsed = !isCsv ? parseStatement(file.text, file.format, order)
+    : mapped ? csvStatementRows(file.rows,{hasHeader,map,order,signMode}) : {rows:[],unreadable:0};
+  const rows = markDuplicates(parsed.rows, spending).map((r,i)=>({
+    ...r,
+    include:  picks[i]?.include  ?? !r.dup,
+    category: picks[i]?.category ?? guessCategory(r.name, spending, spendCats),
+    sourceId: r.credit ? picks[i]?.sourceId ?? guessIncomeSource(r.name, spending, incomeSources) : null,
+  }));
+  const chosen = rows.filter(r=>r.include);
+  const pick = (i,patch) => setPicks(p=>({...p,[i]:{...p[i],...patch}}));
+  const remap = patch => { setMap(m=>({...m,...patch})); setPicks({}); };
+  const colSel = (role,label,optional) => (
+    <Field label={label}>
+      <Sel value={map[role]??""} onChange={e=>remap({[role]:e.target.value===""?undefined:parseInt(e.target.value)})}>
+        <option value="">{optional?"None":"Select a column…"}</option>
+        {header.map((_,i)=><option key={i} value={i}>{colName(i)}</option>)}
+      </Sel>
+    </Field>
+  );
+
+  return (
+    <div style={{display:"grid",gap:14}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",fontFamily:T.sans,fontSize:13}}>
+        <span style={{color:T.inkLight,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{file.name} · {file.format.toUpperCase()}</span>
+        <Btn variant="ghost" onClick={()=>setFile(null)}>Change</Btn>
+      </div>
+      {file.format==="qif" && (
+        <Field label="Date format">
+          <Sel value={order} onChange={e=>{setOrder(e.target.value);setPicks({});}}>
+            {DATE_FORMATS.map(f=><option key={f.id} value={f.id}>{f.label}</option>)}
+          </Sel>
+        </Field>
+      )}
+      {isCsv && (
+        <>
+          <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+            <input type="checkbox" checked={hasHeader} onChange={e=>{setHasHeader(e.target.checked);setPicks({});}}/>
+            First row is a header
+          </label>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+            {colSel("date","Date")}
+            {colSel("desc","Description",true)}
+            {colSel("amount","Amount")}
+            <Field label="Date format">
+              <Sel value={order} onChange={e=>{setOrder(e.target.value);setPicks({});}}>
+                {DATE_FORMATS.map(f=><option key={f.id} value={f.id}>{f.label}</option>)}
+              </Sel>
+            </Field>
+          </div>
+          <Field label="Debit / credit">
+            <Sel value={signMode} onChange={e=>{setSignMode(e.target.value);setPicks({});}}>
+              {SIGN_MODES.map(m=><option key={m.id} value={m.id}>{m.label}</option>)}
+            </Sel>
+          </Field>
+          {signMode==="column" && colSel("sign","Debit/credit column")}
+        </>
+      )}
+
+      {mapped && (
+        <>
+          <div style={{background:T.paper,borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight,lineHeight:1.6}}>
+            <strong style={{color:T.ink}}>{chosen.length}</strong> to import
+            {rows.some(r=>r.dup) && <> · {rows.filter(r=>r.dup).length} already logged</>}
+            {chosen.some(r=>r.credit) && <> · {chosen.filter(r=>r.credit).length} credits</>}
+            {parsed.unreadable>0 && <> · <span style={{color:T.clay}}>{parsed.unreadable} unreadable</span></>}
+          </div>
+          <div style={{display:"grid",gap:6}}>
+            {rows.map((r,i)=>(
+              <div key={i} style={{display:"grid",gridTemplateColumns:"auto 1fr auto",gap:10,alignItems:"center",background:T.white,borderRadius:12,padding:"10px 12px",opacity:r.include?1:0.5}}>
+                <input type="checkbox" checked={r.include} onChange={e=>pick(i,{include:e.target.checked})}/>
+                <div style={{minWidth:0}}>
+                  <div style={{fontFamily:T.sans,fontSize:13,fontWeight:500,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{r.name||"—"}</div>
+                  <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                    {localDate(r.date).toLocaleDateString("en-GB",{day:"numeric",month:"short",year:"numeric"})}
+                    {r.dup && <span style={{color:T.clay}}> · already logged</span>}
+                    {r.credit && <span> · credit</span>}
+                  </div>
+                  {r.credit ? (
+                    <Sel value={r.sourceId??""} onChange={e=>pick(i,{sourceId:e.target.value===""?null:parseInt(e.target.value)})} style={{fontSize:13,padding:"6px 10px",marginTop:6}}>
+                      <option value="">Refund / credit</option>
+                      {incomeSources.map(x=><option key={x.id} value={x.id}>Income · {x.name}</option>)}
+                    </Sel>
+                  ) : (
+                    <Sel value={r.category} onChange={e=>pick(i,{category:e.target.value})} style={{fontSize:13,padding:"6px 10px",marginTop:6}}>
+                      {spendCats.map(c=><option key={c}>{c}</option>)}
+                    </Sel>
+                  )}
+                </div>
+                <div style={{fontFamily:T.sans,fontSize:14,fontWeight:500,color:r.credit?T.sage:T.clay}}>{r.credit?"+":""}{fmt(r.amount)}</div>
+              </div>
+            ))}
+          </div>
+          <Btn variant="primary" style={{width:"100%",opacity:chosen.length?1:0.4}} disabled={!chosen.length}
+            onClick={()=>onImport(chosen.map(r=>({
+              name:r.name||r.category, category:r.category, amount:r.amount, date:r.date,
+              type:r.credit?"Credit":"Expense", goalId:"", ...(r.bankId?{bankId:r.bankId}:{}),
+              ...(r.sourceId!=null?{type:"Income", category:"Income", sourceId:r.sourceId}:{}),
+            })))}>
+            Import {chosen.length} transaction{chosen.length===1?"":"s"}
+          </Btn>
+        </>
+      )}
+    </div>
+  );
+}
+
 // ─── Main App ─────────────────────────────────────────────────────────────────
 export default function MeFirst() {
   const [tab,   setTab]   = useState("home");
   const [ready, setReady] = useState(false);
+  // Schema version of data saved by a newer release; this one then won't touch it
+  const [newerData, setNewerData] = useState(null);
 
   const [monthlyPay,   setMonthlyPay]   = useState(3200);
   const [monthlyHours, setMonthlyHours] = useState(160);
   const [paydayDay,    setPaydayDay]    = useState(6);
-  const hourlyRate = monthlyHours>0 ? monthlyPay/monthlyHours : 0;
-  const nextPayday = getNextPayday(paydayDay);
+  const [paySchedule,  setPaySchedule]  = useState({mode:"monthly",anchor:""});
+  const [holidays,     setHolidays]     = useState({country:"",closures:[],paydayRoll:"earlier",billRoll:"none"});
+  const [incomeSources, setIncomeSources] = useState(DEFAULT_INCOME_SOURCES);
+  const [trendLookback, setTrendLookback] = useState(12);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [tags,         setTags]         = useState([]);
+  const [alertPrefs,   setAlertPrefs]   = useState(DEFAULT_ALERT_PREFS);
+  const [alerts,       setAlerts]       = useState([]);
+  const [cooling,      setCooling]      = useState(DEFAULT_COOLING);
+  const [quiz,         setQuiz]         = useState(DEFAULT_QUIZ);
+  const schedule   = {...paySchedule, day:paydayDay, cal:holidays};
+  const nextPayday = getNextPayday(schedule);
+  // Monthly salary spread over the pay cycle — what one paycheck covers
+  const periodPay  = monthlyPay * 12 / payMode(schedule).perYear;
 
   const [spendCats, setSpendCats] = useState(DEFAULT_SPEND_CATS);
   const [goals,     setGoals]     = useState([]);
@@ -361,28 +1798,58 @@ export default function MeFirst() {
   const [sheet,          setSheet]          = useState(null);
   const [settingsPage,   setSettingsPage]   = useState("general");
   const [expandedBucket, setExpandedBucket] = useState(null);
+  const [removeBucket,   setRemoveBucket]   = useState(null);
   const [quizItem,       setQuizItem]       = useState(null);
   const [quizAns,        setQuizAns]        = useState({});
+  const [quizSetId,      setQuizSetId]      = useState(null);
   const [editGoal,       setEditGoal]       = useState(null);
+  const [sweepRows,      setSweepRows]      = useState([]);
+  const [spendView,      setSpendView]      = useState("log");
+  const [compare,        setCompare]        = useState(false);
+  const [filter,         setFilter]         = useState(EMPTY_FILTER);
+  const [showFilters,    setShowFilters]    = useState(false);
+  const [filterName,     setFilterName]     = useState("");
+  const [tagRange,       setTagRange]       = useState({range:"thisYear", from:"", to:""});
+  const [renameTag,      setRenameTag]      = useState(null);
+  const [trendSeries,    setTrendSeries]    = useState("total");
+  const [trendSplit,     setTrendSplit]     = useState("category");
+  const [draftAdjust,    setDraftAdjust]    = useState({amount:"",reason:"",date:"",sign:1});
   const [editSpend,      setEditSpend]      = useState(null);
   const [editRecurr,     setEditRecurr]     = useState(null);
+  const [editBill,       setEditBill]       = useState(null);
   const [periodIdx,      setPeriodIdx]      = useState(0);
   const [confirmClear,   setConfirmClear]   = useState(false);
+  const [restore,        setRestore]        = useState(null);
   const [newCatName,     setNewCatName]     = useState("");
+  const [newClosure,     setNewClosure]     = useState("");
+  const [draftSource,    setDraftSource]    = useState({name:"",kind:"freelance"});
+  const [removeSource,   setRemoveSource]   = useState(null);
   const [toast,          setToast]          = useState({visible:false,message:""});
 
-  const today = new Date().toISOString().split("T")[0];
-  const freshSpend = useCallback(() => ({name:"",category:"Groceries",amount:"",date:today,type:"Expense",goalId:""}), [today]);
+  const today = isoDate(new Date());
+  const freshSpend = useCallback(() => ({name:"",category:"Groceries",amount:"",date:today,type:"Expense",goalId:"",tags:[],note:""}), [today]);
   const [draftSpend,  setDraftSpend]  = useState(freshSpend());
-  const [draftWish,   setDraftWish]   = useState({name:"",price:"",category:"Fashion"});
-  const [draftGoal,   setDraftGoal]   = useState({name:"",target:"",current:""});
-  const [draftRecurr, setDraftRecurr] = useState({name:"",category:"Groceries",amount:"",dayOfMonth:1});
+  const [draftWish,   setDraftWish]   = useState({name:"",price:"",category:"Fashion",coolOff:0});
+  const [draftGoal,   setDraftGoal]   = useState({name:"",target:"",current:"",targetDate:"",priority:"medium",sweep:{mode:"none"}});
+  const [draftRecurr, setDraftRecurr] = useState({name:"",category:"Groceries",amount:"",frequency:"monthly",dayOfMonth:1,startDate:today});
 
   function showToast(msg) {
     setToast({visible:true,message:msg});
     setTimeout(()=>setToast(t=>({...t,visible:false})),2000);
   }
 
+  // Applies a {sliceName: value} bag; null slices are left untouched
+  function hydrate(data) {
+    const setters = {
+      pay:setMonthlyPay, hours:setMonthlyHours, paydayDay:setPaydayDay, paySchedule:setPaySchedule, holidays:setHolidays, incomeSources:setIncomeSources, trendLookback:setTrendLookback, savedFilters:setSavedFilters, tags:setTags, alertPrefs:setAlertPrefs, alerts:setAlerts, cooling:setCooling, quiz:setQuiz, spendCats:setSpendCats,
+      goals:setGoals, wishlist:setWishlist, spending:setSpending, recurring:setRecurring, budget:setBudget,
+    };
+    DATA_SLICES.forEach(sl=>{ if (data[sl.name]!=null) setters[sl.name](data[sl.name]); });
+  }
+  function snapshot() {
+    return {pay:monthlyPay, hours:monthlyHours, paydayDay, paySchedule, holidays, incomeSources, trendLookback, savedFilters, tags, alertPrefs, alerts, cooling, quiz, spendCats, goals, wishlist, spending, recurring, budget};
+  }
+
   // ── Persistence: load from storage on mount ──
   useEffect(()=>{
     let cancelled = false;
@@ -390,27 +1857,21 @@ export default function MeFirst() {
     const fallbackTimer = setTimeout(() => { if (!cancelled) setReady(true); }, 2000);
     async function loadAll() {
       try {
-        const [pay, hours, pday, scats, gs, wl, sp, rec, bud] = await Promise.all([
-          storageGet("mf:pay"),
-          storageGet("mf:hours"),
-          storageGet("mf:paydayday"),
-          storageGet("mf:spendcats"),
-          storageGet("mf:goals"),
-          storageGet("mf:wishlist"),
-          storageGet("mf:spending"),
-          storageGet("mf:recurring"),
-          storageGet("mf:budget"),
-        ]);
+        const [version, ...values] = await Promise.all([storageGet(SCHEMA_KEY), ...DATA_SLICES.map(sl=>storageGet(sl.key))]);
+        let data = Object.fromEntries(DATA_SLICES.map((sl,i)=>[sl.name,values[i]]));
+        const from = version || 1;
+        // Hydrating would write this release's older shape back over the newer data
+        if (from > SCHEMA_VERSION) { if (!cancelled) setNewerData(from); return; }
+        if (from < SCHEMA_VERSION && values.some(v=>v!=null)) {
+          // Keep the pre-migration snapshot so a bad step can be recovered by hand
+          await storageSet(`mf:backup:v${from}`, {schemaVersion:from, savedAt:new Date().toISOString(), data});
+          data = migrate(data, from);
+          const upgraded = Object.fromEntries(DATA_SLICES.filter(sl=>data[sl.name]!=null).map(sl=>[sl.key,data[sl.name]]));
+          await storageSetMany({...upgraded, [SCHEMA_KEY]:SCHEMA_VERSION});
+        }
+        else if (from < SCHEMA_VERSION) await storageSet(SCHEMA_KEY, SCHEMA_VERSION);
         if (cancelled) return;
-        if (pay    != null) setMonthlyPay(pay);
-        if (hours  != null) setMonthlyHours(hours);
-        if (pday   != null) setPaydayDay(pday);
-        if (scats  != null) setSpendCats(scats);
-        if (gs     != null) setGoals(gs);
-        if (wl     != null) setWishlist(wl);
-        if (sp     != null) setSpending(sp);
-        if (rec    != null) setRecurring(rec);
-        if (bud    != null) setBudget(bud);
+        hydrate(data);
       } catch(e) {
         console.warn("Storage load failed:", e);
       } finally {
@@ -422,15 +1883,26 @@ export default function MeFirst() {
     return () => { cancelled = true; clearTimeout(fallbackTimer); };
   },[]);
 
-  useEffect(()=>{ if(ready) storageSet("mf:pay",       monthlyPay);   },[monthlyPay,  ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:hours",     monthlyHours); },[monthlyHours,ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:paydayday", paydayDay);    },[paydayDay,   ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:spendcats", spendCats);    },[spendCats,   ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:goals",     goals);        },[goals,       ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:wishlist",  wishlist);     },[wishlist,    ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:spending",  spending);     },[spending,    ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:recurring", recurring);    },[recurring,   ready]);
-  useEffect(()=>{ if(ready) storageSet("mf:budget",    budget);       },[budget,      ready]);
+  // ── Persistence: every slice changed in the same render goes out in one batch,
+  // so e.g. a transfer's spending entry and goal balance are written atomically ──
+  const persisted = useRef({});
+  useEffect(()=>{
+    if (!ready || newerData) return;
+    const data = snapshot(), prev = persisted.current, changes = {};
+    DATA_SLICES.forEach(sl=>{ if (data[sl.name]!==prev[sl.name]) changes[sl.key] = data[sl.name]; });
+    persisted.current = data;
+    if (Object.keys(changes).length) storageSetMany(changes);
+  });
+
+  // ── Recurring: post every occurrence whose day has come. The check runs inside
+  // the updater so a double-invoked effect can't post the same bill twice ──
+  useEffect(()=>{
+    if (!ready) return;
+    setSpending(sp=>{
+      const due = dueRecurring(recurring, sp, today, holidays);
+      return due.length ? [...sp, ...due] : sp;
+    });
+  },[ready, recurring, today, holidays]);
 
   // ── Computed ──
   // FIX: parse as LOCAL midnight — new Date("YYYY-MM-DD") parses UTC midnight,
@@ -438,37 +1910,229 @@ export default function MeFirst() {
   const payday      = localDate(nextPayday);
   const todayMidnight = new Date(); todayMidnight.setHours(0,0,0,0);
   const daysLeft    = Math.max(Math.ceil((payday - todayMidnight) / 86400000), 0);
-  const periods     = getPayPeriods(spending,nextPayday);
+  const periods     = getPayPeriods(spending,schedule);
   const curPeriod   = periods[periodIdx]||{items:spending,label:"All time"};
-  const periodItems = curPeriod.items.filter(s=>s.type==="Expense"||!s.type);
-  const periodSpend = periodItems.reduce((a,b)=>a+b.amount,0);
-  const recurringTotal = recurring.reduce((a,r)=>a+r.amount,0);
-  const freeToSpend = monthlyPay - recurringTotal;
-  const remaining   = freeToSpend - periodSpend;
-  const spentByCat  = periodItems.reduce((acc,s)=>{acc[s.category]=(acc[s.category]||0)+s.amount;return acc;},{});
+  // Expenses covered by a withdrawal were paid from savings, not this period
+  // Only the part of an expense savings didn't pay for counts against the period
+  const funded      = fundedAmounts(spending);
+  const ownShare    = s => s.type==="Expense" ? Math.max(s.amount - (funded.get(s.id)||0), 0) : 0;
+  const isSpend     = s => ownShare(s) > 0;
+  const spendLines  = s => {
+    const k = isSpend(s) ? ownShare(s)/s.amount : 0;
+    return k===1 ? splitLines(s) : k ? splitLines(s).map(l=>({...l, amount:l.amount*k})) : [];
+  };
+  const periodItems = curPeriod.items.filter(isSpend);
+  const periodSpend = periodItems.reduce((a,b)=>a+ownShare(b),0);
+  // Posted bills are already in periodSpend, so only their share of the bills
+  // total is taken back out — each occurrence counts once either way
+  const bills       = curPeriod.start ? periodBills(recurring,spending,isoDate(curPeriod.start),isoDate(curPeriod.end),holidays) : [];
+  const recurringTotal = bills.filter(b=>b.status!=="skipped").reduce((a,b)=>a+(b.entry ? ownShare(b.entry) : b.amount),0);
+  const billsPosted = bills.filter(b=>b.status==="posted").reduce((a,b)=>a+ownShare(b.entry),0);
+  // Income actually received, with the salary setting standing in until it lands
+  const income      = periodIncome(curPeriod.items, incomeSources, periodPay);
+  const liveSources = incomeSources.filter(x=>!x.archived);
+  const freeToSpend = income.total - recurringTotal;
+  const remaining   = freeToSpend - (periodSpend - billsPosted);
+  // Hourly rate follows this period's income, scaled back to a month
+  const incomeNow   = periodIncome(periods[0]?.items||[], incomeSources, periodPay);
+  const monthlyIncome = incomeNow.total * payMode(schedule).perYear / 12;
+  const hourlyRate  = monthlyHours>0 ? monthlyIncome/monthlyHours : 0;
+
+  // Bucket allowances for the viewed period and the current one
+  const ideals    = bucketIdeals(budget, income.total);
+  const idealsNow = bucketIdeals(budget, incomeNow.total);
+  const fixedTotal = budget.filter(isFixed).reduce((a,b)=>a+num(b.amount),0);
+  const pctTotal   = budget.filter(b=>!isFixed(b)).reduce((a,b)=>a+b.pct,0);
+  const roleBucket = role => budget.find(b=>b.role===role);
+
+  // Envelope rollover: a bucket's budget is its allowance plus what it carried in
+  const bucketSpent = (b, items) => items.flatMap(spendLines)
+    .filter(l=>(b.cats||[]).includes(l.category)).reduce((a,l)=>a+l.amount,0);
+  const rolloverPeriods = budget.some(rolls) ? getPayPeriods(spending, schedule, rolloverCount(budget, schedule)).reverse() : [];
+  const bucketHistory = Object.fromEntries(budget.filter(rolls).map(b=>[b.id, bucketLedger(b, rolloverPeriods,
+    p=>bucketIdeals(budget, periodIncome(p.items, incomeSources, periodPay).total)[b.id], p=>bucketSpent(b, p.items))]));
+  const bucketCarry = b => (curPeriod.start && bucketHistory[b.id]?.find(x=>x.start===isoDate(curPeriod.start))?.carry) || 0;
+  const bucketBudget = b => ideals[b.id] + bucketCarry(b);
+
+  // Goal deadlines are funded in priority order from the Savings bucket's share
+  // of this period's income; anything past that share is flagged as uncovered
+  const savingsBucket = roleBucket("savings");
+  const savingsAllowance = savingsBucket ? idealsNow[savingsBucket.id] : 0;
+  const balances = Object.fromEntries(goals.map(g=>[g.id, goalBalance(g, spending)]));
+  // Money can only leave a goal that holds it; an edited entry's old amount is back in play
+  const overdraws = d => {
+    if ((d.type!=="Withdrawal" && d.type!=="Goal Transfer") || !d.goalId) return false;
+    const gid = parseInt(d.goalId), old = spending.find(s=>s.id===d.id);
+    return (parseFloat(d.amount)||0) > (balances[gid]||0) - (old ? goalFlow(old, gid) : 0) + 0.005;
+  };
+  const goalsByPriority = [...goals].sort((a,b)=>goalPriority(a).rank-goalPriority(b).rank);
+  const goalInfo = {};
+  let goalsNeed = 0;
+  goalsByPriority.forEach(g=>{
+    const plan = goalPlan(g, balances[g.id], today, payMode(schedule).perYear);
+    if (plan) goalsNeed += plan.perPeriod;
+    goalInfo[g.id] = {plan, pace:goalPace(g, spending, today), covered:!plan || goalsNeed<=savingsAllowance+0.005};
+  });
+  const savePace = goals.reduce((a,g)=>a+goalInfo[g.id].pace,0);
+
+  // Managed tags plus any that only exist on transactions (e.g. from a restore)
+  const allTags = [...new Set([...tags, ...spending.flatMap(s=>s.tags||[])])];
+
+  // ── Comparison with earlier periods (pace-adjusted while a period runs) ──
+  const bucketsOf = s => budget.filter(b=>(b.cats||[]).includes(s.category)).map(b=>String(b.id));
+  const catCompare    = compare && curPeriod.start ? comparePeriods(periods, periodIdx, today, s=>s.category, spendLines) : null;
+  const bucketCompare = compare && curPeriod.start ? comparePeriods(periods, periodIdx, today, bucketsOf, spendLines) : null;
+  const totalCompare  = compare && curPeriod.start ? comparePeriods(periods, periodIdx, today, ()=>"total", spendLines).row("total") : null;
+
+  // ── Trends: oldest period first so charts read left to right. Periods before
+  // the first logged transaction are dropped ──
+  const trendPeriods = (()=>{
+    if (spendView!=="trends") return [];
+    const all = getPayPeriods(spending, schedule, trendLookback).reverse();
+    const first = all.findIndex(p=>p.items.length>0);
+    return first<0 ? all.slice(-1) : all.slice(Math.max(0, Math.min(first, all.length-2)));
+  })();
+  const trendLabels = trendPeriods.map(p=>p.start.toLocaleDateString("en-GB",{day:"numeric",month:"short"}));
+  const trendSum = pred => trendPeriods.map(p=>p.items.flatMap(spendLines).filter(pred).reduce((a,l)=>a+l.amount,0));
+  const trendCats = [...new Set([...spendCats, ...trendPeriods.flatMap(p=>p.items.flatMap(spendLines).map(l=>l.category))])];
+  const inBucket = b => s => (b.cats||[]).includes(s.category);
+
+  // ── Payday sweep: offered for the first week of a period until it's logged ──
+  const sweepProposal = proposeSweep(goals, balances,
+    Object.fromEntries(SWEEP_BUCKETS.map(x=>[x.id, roleBucket(x.role) ? idealsNow[roleBucket(x.role).id] : 0])));
+  const sweepPeriod = periods[0] ? isoDate(periods[0].start) : null;
+  const sweptThisPeriod = spending.some(s=>s.sweep && s.sweep===sweepPeriod);
+  const sweepDue = !!sweepPeriod && !sweptThisPeriod && sweepProposal.length>0 && todayMidnight-periods[0].start < 7*86400000;
+  const spentByCat  = periodItems.flatMap(spendLines).reduce((acc,l)=>{acc[l.category]=(acc[l.category]||0)+l.amount;return acc;},{});
   const maxCat      = Math.max(...Object.values(spentByCat),1);
 
+  // ── Alerts: checked against the current period whenever it's on screen ──
+  const periodDays = curPeriod.start ? Math.round((curPeriod.end-curPeriod.start)/86400000)+1 : 0;
+  const elapsed = periodDays ? Math.min(Math.round((todayMidnight-curPeriod.start)/86400000)+1, periodDays)/periodDays : 0;
+  // Nothing is budgeted until there's income (or a salary) to budget from
+  const dueAlerts = ready && alertPrefs.enabled && periodIdx===0 && curPeriod.start && income.total>0
+    ? budgetAlerts([
+        {id:"total", label:"Free to spend", budget:freeToSpend, base:freeToSpend, spent:periodSpend-billsPosted, thresholds:alertPrefs.thresholds},
+        ...budget.filter(b=>(b.cats||[]).length).map(b=>({id:String(b.id), label:b.label, budget:bucketBudget(b), base:ideals[b.id], spent:bucketSpent(b, curPeriod.items), thresholds:b.thresholds||alertPrefs.thresholds})),
+      ], isoDate(curPeriod.start), elapsed, alertPrefs).filter(a=>!alerts.some(x=>x.key===a.key))
+    : [];
+  // Dismissed alerts stay in the list (hidden) so they don't fire again this period
+  const shownAlerts  = alerts.filter(a=>!a.dismissed);
+  const unreadAlerts = shownAlerts.filter(a=>!a.read).length;
+  // Keyed on the alerts themselves so a re-render alone never re-notifies
+  const dueKey = dueAlerts.map(a=>a.key).join();
+  useEffect(()=>{
+    if (!dueAlerts.length) return;
+    const now = Date.now();
+    setAlerts(list=>[...dueAlerts.filter(a=>!list.some(x=>x.key===a.key)).map((a,i)=>({id:now+i, date:today, read:false, ...a})), ...list].slice(0, ALERT_FEED_MAX));
+    if (alertPrefs.notify) dueAlerts.forEach(a=>notify(a.title, a.body, a.key));
+  },[dueKey]);
+
+  // ── Wishlist: once an item's cooling-off is up it's ready to decide, which is
+  // announced once (feed, plus a notification if those are on) ──
+  const activeWishes = wishlist.filter(w=>!w.bought);
+  const boughtWishes = wishlist.filter(w=>w.bought).sort((a,b)=>b.bought.date.localeCompare(a.bought.date));
+  const readyWishes = activeWishes.filter(w=>wishDays(w, today)>=coolingDays(w, cooling));
+  const coolingWishes = activeWishes.filter(w=>!readyWishes.includes(w));
+  const newlyReady = ready ? readyWishes.filter(w=>!w.readyNotified) : [];
+  const readyKey = newlyReady.map(w=>w.id).join();
+  useEffect(()=>{
+    if (!newlyReady.length) return;
+    const ids = newlyReady.map(w=>w.id), now = Date.now();
+    const items = newlyReady.map((w,i)=>({id:now+i, key:`wish|${w.id}|${w.addedAt}`, date:today, read:false, level:"wish",
+      title:`${w.name}: ready to decide`, body:`You've waited ${wishDays(w, today)} days · buy it or let it go`}));
+    setWishlist(list=>list.map(w=>ids.includes(w.id)?{...w,readyNotified:true}:w));
+    setAlerts(list=>[...items.filter(a=>!list.some(x=>x.key===a.key)), ...list].slice(0, ALERT_FEED_MAX));
+    if (alertPrefs.notify) items.forEach(a=>notify(a.title, a.body, a.key));
+  },[readyKey]);
+
+  // Purchases due their "was it worth it?" question, asked once in the feed too
+  const worthDue = boughtWishes.filter(w=>w.bought.worth==null && (localDate(today)-localDate(w.bought.date))/86400000>=REGRET_DAYS);
+  const worthNew = ready ? worthDue.filter(w=>!w.bought.asked) : [];
+  const worthKey = worthNew.map(w=>w.id).join();
+  useEffect(()=>{
+    if (!worthNew.length) return;
+    const ids = worthNew.map(w=>w.id), now = Date.now();
+    const items = worthNew.map((w,i)=>({id:now+i, key:`worth|${w.id}`, date:today, read:false, level:"wish",
+      title:`${w.name}: was it worth it?`, body:`You bought it ${REGRET_DAYS} days ago · rate it on the Wishlist tab`}));
+    setWishlist(list=>list.map(w=>ids.includes(w.id)?{...w,bought:{...w.bought,asked:true}}:w));
+    setAlerts(list=>[...items.filter(a=>!list.some(x=>x.key===a.key)), ...list].slice(0, ALERT_FEED_MAX));
+    if (alertPrefs.notify) items.forEach(a=>notify(a.title, a.body, a.key));
+  },[worthKey]);
+  const rateWish = (id, worth) => setWishlist(w=>w.map(x=>x.id===id?{...x,bought:{...x.bought,worth}}:x));
+
+  // Editing the wait starts the countdown over, including its reminder
+  const patchWish = (id, patch) => setWishlist(w=>w.map(x=>x.id===id?{...x,...patch,readyNotified:false}:x));
+
+  async function toggleNotify(on) {
+    if (on && typeof Notification!=="undefined" && Notification.permission!=="granted") {
+      const perm = await Notification.requestPermission();
+      if (perm!=="granted") { showToast("Notifications are blocked in this browser"); return; }
+    }
+    if (on && typeof Notification==="undefined") { showToast("This browser can't show notifications"); return; }
+    setAlertPrefs(p=>({...p, notify:on}));
+  }
+
   // ── Financial Actions ──
 
   // FIX #3: Validate amount is a positive number (blocks negatives)
   function addSpend() {
     const amt = parseFloat(draftSpend.amount);
     if (!amt || amt <= 0) return; // blocks 0, negatives, empty
-    const name = draftSpend.name.trim() || draftSpend.category;
-    const entry = {id:Date.now(),...draftSpend,name,amount:amt};
+    const source = draftSpend.type==="Income" && liveSources.find(x=>x.id===draftSpend.sourceId);
+    if (draftSpend.type==="Income" && !source) return; // periodIncome only counts income with a source
+    const goalName = id => goals.find(g=>g.id===parseInt(id))?.name;
+    const moved = draftSpend.type==="Withdrawal" || draftSpend.type==="Goal Transfer";
+    const name = draftSpend.name.trim() || (source ? source.name
+      : draftSpend.type==="Withdrawal" ? `From ${goalName(draftSpend.goalId)}`
+      : draftSpend.type==="Goal Transfer" ? `${goalName(draftSpend.goalId)} → ${goalName(draftSpend.toGoalId)}`
+      : draftSpend.category);
+    if (draftSpend.type==="Expense" && splitGap(draftSpend.splits, amt)) return;
+    if (overdraws(draftSpend)) return;
+    const {sourceId, toGoalId, covers, wishId, ...rest} = tidySplits(draftSpend);
+    const entry = {id:Date.now(),...rest,name,amount:amt,
+      ...(source ? {category:"Income",sourceId:source.id} : {}),
+      ...(moved ? {category:"Savings"} : {}),
+      ...(draftSpend.type==="Goal Transfer" ? {toGoalId} : {}),
+      ...(draftSpend.type==="Withdrawal" && covers ? {covers} : {}),
+    };
     setSpending(s=>[...s,entry]);
-    if (entry.type==="Transfer to Savings" && entry.goalId) {
-      setGoals(g=>g.map(x=>x.id===parseInt(entry.goalId)?{...x,current:x.current+entry.amount}:x));
+    rememberTags(entry.tags);
+    // Only an expense is a purchase; anything else leaves the item waiting
+    const bought = wishId && entry.type==="Expense";
+    if (bought) setWishlist(w=>w.map(x=>x.id===wishId ? {...x, bought:{
+      date:entry.date, spendId:entry.id, price:amt, days:wishDays(x, today), score:impulseScore(wishDays(x, today), x.quizScore),
+    }} : x));
+    setDraftSpend(freshSpend());
+    setSheet(null); showToast(bought ? "Enjoy it ✓" : "Saved ✓");
+  }
+
+  function importSpending(entries) {
+    const base = Date.now();
+    setSpending(s=>[...s,...entries.map((e,i)=>({id:base+i,...e}))]);
+    setSheet(null); showToast(`Imported ${entries.length} ✓`);
+  }
+
+  // Deleting a posted bill skips that occurrence, otherwise it would post again.
+  // Deleting a wishlist purchase puts the item back on the list.
+  function deleteSpend(entry) {
+    setSpending(s=>s.filter(x=>x.id!==entry.id));
+    if (entry.recurringId) {
+      setRecurring(r=>r.map(x=>x.id===entry.recurringId?{...x,skips:[...(x.skips||[]),entry.occurrence]}:x));
     }
-    if (entry.type==="Investment" && entry.goalId) {
-      setGoals(g=>g.map(x=>x.id===parseInt(entry.goalId)?{...x,current:x.current+entry.amount}:x));
+    const wish = wishlist.find(w=>w.bought?.spendId===entry.id);
+    if (wish) {
+      setWishlist(w=>w.map(x=>x.id===wish.id ? {...x, bought:undefined} : x));
+      showToast(`${wish.name} is back on your wishlist`);
     }
-    setDraftSpend(freshSpend());
-    setSheet(null); showToast("Saved ✓");
   }
 
   function saveSpend() {
-    setSpending(s=>s.map(x=>x.id===editSpend.id?editSpend:x));
+    if (editSpend.type==="Expense" && splitGap(editSpend.splits, editSpend.amount)) return;
+    if (overdraws(editSpend)) return;
+    const entry = tidySplits(editSpend);
+    setSpending(s=>s.map(x=>x.id===entry.id?entry:x));
+    rememberTags(editSpend.tags);
     setEditSpend(null); setSheet(null); showToast("Updated ✓");
   }
 
@@ -476,53 +2140,224 @@ export default function MeFirst() {
   function addWish() {
     const price = parseFloat(draftWish.price);
     if (!draftWish.name || !price || price <= 0) return;
-    setWishlist(w=>[...w,{id:Date.now(),...draftWish,price,daysWanted:0,quizScore:null,savedAnswers:{}}]);
-    setDraftWish({name:"",price:"",category:"Fashion"}); setSheet(null); showToast("Added to wishlist ✓");
+    setWishlist(w=>[...w,{id:Date.now(),...draftWish,price,addedAt:today,quizScore:null,savedAnswers:{}}]);
+    setDraftWish({name:"",price:"",category:"Fashion",coolOff:0}); setSheet(null); showToast("Added to wishlist ✓");
   }
 
   function addGoal() {
     if (!draftGoal.name||!draftGoal.target) return;
-    setGoals(g=>[...g,{id:Date.now(),name:draftGoal.name,target:parseFloat(draftGoal.target),current:parseFloat(draftGoal.current)||0}]);
-    setDraftGoal({name:"",target:"",current:""}); setSheet(null); showToast("Goal created ✓");
+    const opening = parseFloat(draftGoal.current)||0;
+    setGoals(g=>[...g,{id:Date.now(),name:draftGoal.name,target:parseFloat(draftGoal.target),targetDate:draftGoal.targetDate,priority:draftGoal.priority,sweep:draftGoal.sweep,
+      adjustments:opening ? [{id:Date.now(),date:today,amount:opening,reason:"Opening balance"}] : []}]);
+    setDraftGoal({name:"",target:"",current:"",targetDate:"",priority:"medium",sweep:{mode:"none"}}); setSheet(null); showToast("Goal created ✓");
+  }
+  // Only the goal's own fields — adjustments are written straight to `goals`
+  function saveGoal() {
+    const {name, target, targetDate, priority, sweep} = editGoal;
+    setGoals(g=>g.map(x=>x.id===editGoal.id?{...x,name,target,targetDate,priority,sweep}:x));
+    setEditGoal(null); setSheet(null); showToast("Goal updated ✓");
+  }
+  // ── Tags: typed on transactions, managed (renamed, deleted) in settings ──
+  function rememberTags(list) {
+    const fresh = (list||[]).filter(t=>!tags.includes(t));
+    if (fresh.length) setTags(t=>[...t, ...fresh.filter(x=>!t.includes(x))]);
+  }
+  function applyTagRename() {
+    const {from, to} = renameTag;
+    const name = to.trim().replace(/^#/,"");
+    setRenameTag(null);
+    if (!name || name===from) return;
+    setTags(t=>t.includes(name) ? t.filter(x=>x!==from) : t.map(x=>x===from?name:x));
+    setSpending(s=>s.map(x=>(x.tags||[]).includes(from) ? {...x,tags:[...new Set(x.tags.map(y=>y===from?name:y))]} : x));
+  }
+  function deleteTag(tag) {
+    setTags(t=>t.filter(x=>x!==tag));
+    setSpending(s=>s.map(x=>(x.tags||[]).includes(tag) ? {...x,tags:x.tags.filter(y=>y!==tag)} : x));
+  }
+
+  // ── Budget buckets ──
+  const patchBucket = (id, patch) => setBudget(bg=>bg.map(b=>b.id===id?{...b,...patch}:b));
+  function addBucket() {
+    const used = budget.map(b=>b.color);
+    const b = {id:Date.now(), label:"New bucket", pct:0, color:CHART_COLORS.find(c=>!used.includes(c))||CHART_COLORS[0], cats:[]};
+    setBudget(bg=>[...bg,b]); setExpandedBucket(b.id);
+  }
+  function moveBucket(id, dir) {
+    setBudget(bg=>{
+      const i = bg.findIndex(b=>b.id===id), j = i+dir;
+      if (j<0 || j>=bg.length) return bg;
+      const next = [...bg]; [next[i],next[j]] = [next[j],next[i]];
+      return next;
+    });
+  }
+  // Its categories move to the chosen bucket, or are left unassigned. Its role
+  // goes with them only if asked (and the bucket has none of its own).
+  function deleteBucket() {
+    const {id, to, passRole} = removeBucket;
+    const gone = budget.find(b=>b.id===id);
+    const heir = budget.find(b=>String(b.id)===String(to));
+    const handOver = gone.role && passRole && heir && !heir.role;
+    setBudget(bg=>bg.filter(b=>b.id!==id).map(b=>String(b.id)===String(to) ? {...b,cats:[...new Set([...(b.cats||[]),...(gone.cats||[])])],...(handOver ? {role:gone.role} : {})} : b));
+    setRemoveBucket(null); setExpandedBucket(null); showToast(`${gone.label} deleted`);
+  }
+
+  function saveFilter() {
+    const name = filterName.trim();
+    if (!name || !isFiltering(filter)) return;
+    setSavedFilters(list=>[...list.filter(x=>x.name!==name), {id:Date.now(), name, filter}]);
+    setFilterName(""); showToast("View saved ✓");
+  }
+
+  function openSweep() {
+    setSweepRows(sweepProposal.map(x=>({...x, include:true})));
+    setSheet("sweep");
+  }
+  // Every chosen transfer goes out in one update, tagged with the period it's for
+  function logSweep() {
+    const chosen = sweepRows.filter(x=>x.include && x.amount>0);
+    if (!chosen.length) return;
+    const base = Date.now();
+    setSpending(s=>[...s, ...chosen.map((x,i)=>({
+      id:base+i, name:`Payday sweep · ${goals.find(g=>g.id===x.goalId)?.name||"goal"}`, category:"Savings",
+      amount:x.amount, date:today, type:x.type, goalId:String(x.goalId), sweep:sweepPeriod,
+    }))]);
+    setSheet(null); showToast(`Swept ${fmt(chosen.reduce((a,x)=>a+x.amount,0))} ✓`);
+  }
+
+  function addAdjustment() {
+    const amount = Math.abs(parseFloat(draftAdjust.amount)) * draftAdjust.sign;
+    if (!amount || !draftAdjust.reason.trim()) return;
+    const adj = {id:Date.now(), date:draftAdjust.date||today, amount, reason:draftAdjust.reason.trim()};
+    setGoals(g=>g.map(x=>x.id===editGoal.id?{...x,adjustments:[...(x.adjustments||[]),adj]}:x));
+    setDraftAdjust({amount:"",reason:"",date:"",sign:1});
+  }
+  function deleteAdjustment(id) {
+    setGoals(g=>g.map(x=>x.id===editGoal.id?{...x,adjustments:(x.adjustments||[]).filter(a=>a.id!==id)}:x));
   }
-  function saveGoal() { setGoals(g=>g.map(x=>x.id===editGoal.id?editGoal:x)); setEditGoal(null); setSheet(null); showToast("Goal updated ✓"); }
   function deleteGoal() { setGoals(g=>g.filter(x=>x.id!==editGoal.id)); setEditGoal(null); setSheet(null); showToast("Goal deleted"); }
 
   function addRecurring() {
-    if (!draftRecurr.name||!draftRecurr.amount) return;
-    setRecurring(r=>[...r,{id:Date.now(),...draftRecurr,amount:parseFloat(draftRecurr.amount)}]);
-    setDraftRecurr({name:"",category:spendCats[0]||"Other",amount:"",dayOfMonth:1});
+    if (!draftRecurr.name||!draftRecurr.amount||!draftRecurr.startDate) return;
+    setRecurring(r=>[...r,{id:Date.now(),...draftRecurr,amount:parseFloat(draftRecurr.amount),since:today,skips:[],overrides:{}}]);
+    setDraftRecurr({name:"",category:spendCats[0]||"Other",amount:"",frequency:"monthly",dayOfMonth:1,startDate:today});
     setSettingsPage("spending"); setSheet("settings"); showToast("Recurring added ✓");
   }
-  function saveRecurring() { setRecurring(r=>r.map(x=>x.id===editRecurr.id?editRecurr:x)); setEditRecurr(null); setSettingsPage("spending"); setSheet("settings"); showToast("Updated ✓"); }
+  function saveRecurring() { setRecurring(r=>r.map(x=>x.id===editRecurr.id?{...editRecurr,startDate:editRecurr.startDate||today}:x)); setEditRecurr(null); setSettingsPage("spending"); setSheet("settings"); showToast("Updated ✓"); }
+  function saveBill() {
+    const {r, occurrence, amount, skip} = editBill;
+    setRecurring(list=>list.map(x=>{
+      if (x.id!==r.id) return x;
+      const overrides = {...(x.overrides||{})};
+      if (amount===x.amount) delete overrides[occurrence]; else overrides[occurrence] = amount;
+      const skips = (x.skips||[]).filter(d=>d!==occurrence);
+      return {...x, overrides, skips:skip?[...skips,occurrence]:skips};
+    }));
+    setEditBill(null); showToast(skip?"Skipped ✓":"Updated ✓");
+  }
   function deleteRecurring() { setRecurring(r=>r.filter(x=>x.id!==editRecurr.id)); setEditRecurr(null); setSettingsPage("spending"); setSheet("settings"); showToast("Deleted"); }
 
+  function addIncomeSource() {
+    const name = draftSource.name.trim();
+    if (!name||incomeSources.some(x=>x.name===name)) return;
+    setIncomeSources(list=>[...list,{id:Date.now(),name,kind:draftSource.kind}]);
+    setDraftSource(d=>({...d,name:""}));
+  }
+  // Sources with logged income are archived so past periods keep their salary/other split
+  function deleteIncomeSource(id) {
+    const used = spending.some(s=>s.type==="Income" && s.sourceId===id);
+    setIncomeSources(list=>used ? list.map(x=>x.id===id?{...x,archived:true}:x) : list.filter(x=>x.id!==id));
+    setRemoveSource(null); showToast(used ? "Archived" : "Deleted");
+  }
+
   function addSpendCat() {
     const name = newCatName.trim();
     if (!name||spendCats.includes(name)) return;
     setSpendCats(c=>[...c,name]); setNewCatName("");
   }
 
+  // "Bought it" logs the purchase through the usual Add sheet; saving it archives the item
+  function buyWish(item) {
+    setDraftSpend({...freshSpend(), name:item.name, amount:String(item.price), category:spendCats.includes(item.category)?item.category:"Other", wishId:item.id});
+    setSheet("addSpend");
+  }
+
+  // Answers to other sets' questions are kept, in case the item's category changes back
+  function openQuiz(item) {
+    setQuizItem(item);
+    setQuizAns(liveAnswers(quizFor(item, quiz).questions, item.savedAnswers));
+  }
   function submitQuiz() {
-    let score=5;
-    QUIZ_Q.forEach((q,i)=>{ if(quizAns[i]==="yes") score+=q.w; });
-    const norm=Math.max(0,Math.min(score,10));
-    setWishlist(w=>w.map(x=>x.id===quizItem.id?{...x,quizScore:norm,savedAnswers:quizAns}:x));
+    const score = quizScore(quizFor(quizItem, quiz).questions, quizAns);
+    setWishlist(w=>w.map(x=>x.id===quizItem.id?{...x,quizScore:score,savedAnswers:{...x.savedAnswers,...quizAns}}:x));
     setQuizItem(null); setQuizAns({});
   }
 
+  // ── Quiz sets ──
+  const patchQuizSet = (id, fn) => setQuiz(q=>({...q, sets:q.sets.map(x=>x.id===id?fn(x):x)}));
+  const patchQuestion = (setId, qid, patch) => patchQuizSet(setId, x=>({...x, questions:x.questions.map(q=>q.id===qid?{...q,...patch}:q)}));
+  // A new set starts as a copy of the one on screen, with its own question ids
+  function addQuizSet(from) {
+    const id = "set"+Date.now();
+    setQuiz(q=>({...q, sets:[...q.sets, {id, name:"New set", questions:from.questions.map((x,i)=>({...x, id:`q${Date.now()}${i}`}))}]}));
+    setQuizSetId(id);
+  }
+  function deleteQuizSet(id) {
+    setQuiz(q=>({sets:q.sets.filter(x=>x.id!==id), cats:Object.fromEntries(Object.entries(q.cats||{}).filter(([,v])=>v!==id))}));
+    setQuizSetId(null);
+  }
+  function moveQuestion(setId, qid, dir) {
+    patchQuizSet(setId, x=>{
+      const i = x.questions.findIndex(q=>q.id===qid), j = i+dir;
+      if (j<0 || j>=x.questions.length) return x;
+      const next = [...x.questions]; [next[i],next[j]] = [next[j],next[i]];
+      return {...x, questions:next};
+    });
+  }
+
+  // ── Backup ──
+  function exportBackup() {
+    downloadJson(`me-first-backup-${today}.json`, {app:"me-first", schemaVersion:SCHEMA_VERSION, exportedAt:new Date().toISOString(), data:snapshot()});
+    showToast("Backup exported ✓");
+  }
+
+  function pickBackup(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text().then(text=>{
+      let file = null;
+      try { file = JSON.parse(text); } catch { /* reported below */ }
+      const error = validateBackup(file);
+      if (error) { setRestore({error}); return; }
+      const data = migrate(file.data, file.schemaVersion);
+      setRestore({fileName:f.name, exportedAt:file.exportedAt, data, diff:backupDiff(snapshot(), data)});
+    });
+  }
+
+  function applyBackup(mode) {
+    const data = mode==="merge"
+      ? mergeBackup(snapshot(), restore.data)
+      : Object.fromEntries(DATA_SLICES.map(sl=>[sl.name, restore.data[sl.name] ?? sl.empty]));
+    hydrate(data);
+    setEditGoal(null); setEditSpend(null); setEditRecurr(null);
+    setPeriodIdx(0); setExpandedBucket(null);
+    setRestore(null); showToast(mode==="merge"?"Backup merged ✓":"Backup restored ✓");
+  }
+
   // FIX #5: clearAllData resets ALL state including stale edit refs
   function clearAllData() {
     setGoals([]); setWishlist([]); setSpending([]); setRecurring([]);
     setBudget(DEFAULT_BUDGET); setSpendCats(DEFAULT_SPEND_CATS);
-    setMonthlyPay(0); setMonthlyHours(160); setPaydayDay(6);
+    setMonthlyPay(0); setMonthlyHours(160); setPaydayDay(6); setPaySchedule({mode:"monthly",anchor:""});
+    setHolidays({country:"",closures:[],paydayRoll:"earlier",billRoll:"none"}); setIncomeSources(DEFAULT_INCOME_SOURCES); setTrendLookback(12); setSavedFilters([]); setTags([]); setAlertPrefs(DEFAULT_ALERT_PREFS); setAlerts([]); setCooling(DEFAULT_COOLING); setQuiz(DEFAULT_QUIZ);
     // Reset all edit/UI state to prevent stale data
-    setEditGoal(null); setEditSpend(null); setEditRecurr(null);
+    setEditGoal(null); setEditSpend(null); setEditRecurr(null); setEditBill(null);
     setQuizItem(null); setQuizAns({});
     setPeriodIdx(0); setExpandedBucket(null);
     // Clear persisted storage
-    ["mf:goals","mf:wishlist","mf:spending","mf:recurring","mf:budget",
-     "mf:pay","mf:hours","mf:paydayday","mf:spendcats"].forEach(k=>storageDelete(k));
+    const cleared = Object.fromEntries(DATA_SLICES.map(sl=>[sl.key,undefined]));
+    for (let v=1; v<SCHEMA_VERSION; v++) cleared[`mf:backup:v${v}`] = undefined;
+    storageSetMany(cleared);
     setConfirmClear(false); setSheet(null);
   }
 
@@ -531,6 +2366,14 @@ export default function MeFirst() {
       loading your world…
     </div>
   );
+  if (newerData) return (
+    <div style={{display:"grid",alignContent:"center",justifyItems:"center",gap:10,height:"100dvh",padding:"0 32px",textAlign:"center",background:T.cream}}>
+      <div style={{fontFamily:T.serif,fontSize:22,fontStyle:"italic",color:T.ink}}>your data is from a newer version</div>
+      <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,lineHeight:1.5}}>
+        It was saved by a later release of me, first. (data version {newerData}, this one reads up to {SCHEMA_VERSION}). Nothing has been changed — reload once the update has reached this device.
+      </div>
+    </div>
+  );
 
   const TABS = [
     {id:"spending",label:"Spending",icon:"spending"},
@@ -540,7 +2383,110 @@ export default function MeFirst() {
     {id:"wishlist",label:"Wishlist",icon:"wishlist" },
   ];
 
-  const freeRatio = freeToSpend/monthlyPay;
+  // One transaction in a list: swipe to edit or delete
+  const txRow = (s, {hint=false, withYear=false}={}) => {
+    const catColor = getCatColor(s.category, budget);
+    return (
+      <SwipeableRow key={s.id} hintOnMount={hint}
+        onEdit={()=>{setEditSpend({...s});setSheet("editSpend");}}
+        onDelete={()=>deleteSpend(s)}
+      >
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",background:T.white,padding:"12px 14px",boxShadow:`0 1px 8px rgba(70,49,38,0.06)`}}>
+          <div style={{display:"flex",gap:12,alignItems:"center",flex:1}}>
+            <div style={{background:catColor+"18",border:`1.5px solid ${catColor}30`,borderRadius:12,width:42,height:42,display:"flex",alignItems:"center",justifyContent:"center",flexShrink:0}}>
+              <CatEmoji cat={s.category} size={20}/>
+            </div>
+            <div style={{flex:1,minWidth:0}}>
+              <div style={{fontFamily:T.sans,fontSize:14,fontWeight:500,marginBottom:2,display:"flex",gap:6,alignItems:"center"}}>
+                {s.name||s.category}
+                {s.recurringId&&<Icon name="repeat" size={12} color={T.inkLight}/>}
+              </div>
+              <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap"}}>
+                <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                  {localDate(s.date).toLocaleDateString("en-GB",{day:"numeric",month:"short",...(withYear?{year:"numeric"}:{})})}
+                </span>
+                <span style={{fontFamily:T.sans,fontSize:11,color:catColor,fontWeight:500}}>{s.type==="Income" ? incomeSources.find(x=>x.id===s.sourceId)?.name||"Income" : s.splits?.length ? s.splits.map(l=>l.category).join(" · ") : s.category}</span>
+                {s.splits?.length>0&&<Pill color={T.sand}>split</Pill>}
+                {s.type!=="Expense"&&<TypeBadge type={s.type}/>}
+                {funded.has(s.id)&&<Pill color={T.blush}>{funded.get(s.id)<s.amount ? `${fmt(funded.get(s.id))} from savings` : "from savings"}</Pill>}
+                {(s.tags||[]).map(t=><span key={t} style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>#{t}</span>)}
+              </div>
+              {s.note && <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,fontStyle:"italic",marginTop:2,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{s.note}</div>}
+            </div>
+          </div>
+          <div style={{fontFamily:T.sans,fontSize:15,fontWeight:500,color:s.type==="Transfer to Savings"||s.type==="Income"?T.sage:s.type==="Investment"?T.teal:s.type==="Credit"?T.mist:s.type==="Withdrawal"?T.blush:s.type==="Goal Transfer"?T.sand:T.clay,flexShrink:0}}>{s.type==="Credit"||s.type==="Income"?"+":""}{fmt(s.amount)}</div>
+        </div>
+      </SwipeableRow>
+    );
+  };
+
+  // One wishlist item: what it costs, how long it's been wanted, and its quiz
+  const wishCard = item => {
+    const days = wishDays(item, today), wait = coolingDays(item, cooling);
+    const score = impulseScore(days, item.quizScore);
+    const {text, color, bg} = impulseLabel(score);
+    const hours = hourlyRate>0 ? (item.price/hourlyRate).toFixed(1) : "—";
+    const steps = [15,35,55,75,90];
+    const activeStep = steps.findIndex(s=>score<s);
+    const filledSteps = activeStep===-1 ? 5 : activeStep;
+    return (
+      <Card key={item.id} style={{padding:"16px 16px"}}>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:12}}>
+          <div style={{flex:1,minWidth:0,paddingRight:8}}>
+            <div style={{display:"flex",alignItems:"center",gap:6,marginBottom:4}}>
+              <CatEmoji cat={item.category} size={14}/>
+              <span style={{fontFamily:T.sans,fontSize:10,letterSpacing:1.5,textTransform:"uppercase",color:T.inkLight}}>{item.category}</span>
+            </div>
+            <div style={{fontStyle:"italic",fontSize:19,color:T.ink,lineHeight:1.2}}>{item.name}</div>
+          </div>
+          <button onClick={()=>setWishlist(w=>w.filter(x=>x.id!==item.id))} style={{background:"none",border:"none",cursor:"pointer",padding:4,opacity:0.25,flexShrink:0}}>
+            <Icon name="trash" size={15} color={T.ink}/>
+          </button>
+        </div>
+        <div style={{display:"flex",gap:0,marginBottom:14}}>
+          <div style={{flex:1,background:T.paper,borderRadius:"10px 0 0 10px",padding:"8px 12px"}}>
+            <div style={{fontFamily:T.sans,fontSize:10,color:T.inkLight,marginBottom:2}}>PRICE</div>
+            <div style={{fontFamily:T.sans,fontSize:16,fontWeight:600,color:T.ink}}>{fmt(item.price)}</div>
+          </div>
+          <div style={{flex:1,background:T.paper,borderRadius:"0 10px 10px 0",padding:"8px 12px",borderLeft:`1px solid ${T.border}`}}>
+            <div style={{fontFamily:T.sans,fontSize:10,color:T.inkLight,marginBottom:2}}>HOURS OF WORK</div>
+            <div style={{fontFamily:T.sans,fontSize:16,fontWeight:600,color:T.inkLight}}>{hours}h</div>
+          </div>
+        </div>
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:14}}>
+          <Pill color={color} bg={bg}>{text}</Pill>
+          <div style={{display:"flex",gap:5,alignItems:"center"}}>
+            {[0,1,2,3,4].map(i=>(
+              <div key={i} style={{width:i<filledSteps?10:8,height:i<filledSteps?10:8,borderRadius:"50%",background:i<filledSteps?color:T.border,transition:"all 0.4s ease"}}/>
+            ))}
+          </div>
+        </div>
+        <div style={{marginBottom:14}}>
+          <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:11,color:days>=wait?T.sage:T.inkLight,marginBottom:4}}>
+            <span>Wanted for {days} day{days===1?"":"s"}</span>
+            <span>{days>=wait ? "Cooling-off done ✓" : `${wait-days} day${wait-days===1?"":"s"} to go`}</span>
+          </div>
+          <Bar pct={Math.min(days/wait*100,100)} color={days>=wait?T.sage:T.sand}/>
+        </div>
+        <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+          <Field label="Days wanted">
+            <NumInput value={days} onChange={v=>patchWish(item.id,{addedAt:isoDate(addDays(localDate(today),-Math.max(0,Math.round(v))))})}/>
+          </Field>
+          <Field label="Cool-off">
+            <NumInput value={item.coolOff||""} placeholder={String(cooling.cats?.[item.category]||cooling.days)} onChange={v=>patchWish(item.id,{coolOff:Math.max(0,Math.round(v))})}/>
+          </Field>
+          <div style={{gridColumn:"1 / -1",display:"flex",gap:10}}>
+            <Btn variant={item.quizScore!=null?"outline":"primary"} style={{flex:1,fontSize:13}} onClick={()=>openQuiz(item)}>
+              {item.quizScore!=null?"Retake quiz":"Take the quiz"}
+            </Btn>
+            <Btn variant="sand" style={{flex:1,fontSize:13}} onClick={()=>buyWish(item)}>Bought it</Btn>
+          </div>
+        </div>
+      </Card>
+    );
+  };
+
+  const freeRatio = income.total>0 ? freeToSpend/income.total : 0;
 
   return (
     <div style={{fontFamily:T.serif,background:T.cream,minHeight:"100dvh",paddingBottom:72,color:T.ink}}>
@@ -559,9 +2505,15 @@ export default function MeFirst() {
             <div style={{fontSize:22,fontWeight:300,fontStyle:"italic",letterSpacing:1}}>me, first.</div>
             <div style={{fontFamily:T.sans,fontSize:9,letterSpacing:3,opacity:0.45,textTransform:"uppercase"}}>your money, your rules</div>
           </div>
-          <button onClick={()=>setSheet("settings")} style={{background:"none",border:`1px solid rgba(255,255,255,0.2)`,borderRadius:10,width:38,height:38,cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center"}}>
-            <Icon name="settings" size={18} color={T.cream} strokeWidth={1.3}/>
-          </button>
+          <div style={{display:"flex",gap:8}}>
+            <button onClick={()=>setSheet("alerts")} style={{position:"relative",background:"none",border:`1px solid rgba(255,255,255,0.2)`,borderRadius:10,width:38,height:38,cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center"}}>
+              <Icon name="bell" size={18} color={T.cream} strokeWidth={1.3}/>
+              {unreadAlerts>0 && <span style={{position:"absolute",top:-5,right:-5,minWidth:16,height:16,borderRadius:100,background:T.clay,color:T.cream,fontFamily:T.sans,fontSize:10,fontWeight:500,display:"flex",alignItems:"center",justifyContent:"center",padding:"0 4px"}}>{unreadAlerts}</span>}
+            </button>
+            <button onClick={()=>setSheet("settings")} style={{background:"none",border:`1px solid rgba(255,255,255,0.2)`,borderRadius:10,width:38,height:38,cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center"}}>
+              <Icon name="settings" size={18} color={T.cream} strokeWidth={1.3}/>
+            </button>
+          </div>
         </div>
       </div>
 
@@ -594,26 +2546,41 @@ export default function MeFirst() {
                     <span style={{opacity:0.45}}>left to spend </span>
                     <span style={{color:remaining>=0?"#a8d4a0":"#d4a0a0",fontWeight:500}}>{fmt(remaining)}</span>
                   </div>
-                  <div style={{marginTop:4,fontFamily:T.sans,fontSize:11,opacity:0.35}}>
-                    if you save €15/day<br/>
-                    <span style={{color:"#a8d4a0"}}>+{fmt(15*daysLeft)} by payday</span>
-                  </div>
+                  {savePace>0 && (
+                    <div style={{marginTop:4,fontFamily:T.sans,fontSize:11,opacity:0.35}}>
+                      at your saving pace<br/>
+                      <span style={{color:"#a8d4a0"}}>+{fmt(savePace*daysLeft)} by payday</span>
+                    </div>
+                  )}
                 </div>
               </div>
             </Card>
 
-            {recurring.length>0 && (
+            {sweepDue && (
+              <Card onClick={openSweep} style={{background:T.sage+"18",border:`1px solid ${T.sage}44`,display:"flex",alignItems:"center",gap:12}}>
+                <span style={{fontSize:24}}>🐷</span>
+                <div style={{flex:1,fontFamily:T.sans,fontSize:13,color:T.ink,lineHeight:1.5}}>
+                  <strong>Payday sweep</strong> · {fmt(sweepProposal.reduce((a,x)=>a+x.amount,0))} ready for {sweepProposal.length} goal{sweepProposal.length===1?"":"s"}
+                  <div style={{fontSize:11,color:T.inkLight}}>Review the transfers and log them in one go</div>
+                </div>
+                <Icon name="chevron" size={18} color={T.inkLight}/>
+              </Card>
+            )}
+
+            {bills.length>0 && (
               <>
-                <div style={{fontStyle:"italic",fontSize:18,marginTop:4}}>Recurring this month</div>
+                <div style={{fontStyle:"italic",fontSize:18,marginTop:4}}>Recurring this period</div>
                 <Card style={{background:T.paper,padding:"12px 16px"}}>
-                  {recurring.map(r=>(
-                    <div key={r.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8,fontFamily:T.sans,fontSize:13}}>
+                  {bills.map(b=>(
+                    <div key={occurrenceKey(b.r.id,b.occurrence)} style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8,fontFamily:T.sans,fontSize:13,opacity:b.status==="skipped"?0.45:1}}>
                       <div style={{display:"flex",gap:8,alignItems:"center"}}>
                         <Icon name="repeat" size={14} color={T.clay}/>
-                        <span>{r.name}</span>
-                        <span style={{fontSize:11,color:T.inkLight}}>day {r.dayOfMonth}</span>
+                        <span>{b.r.name}</span>
+                        <span style={{fontSize:11,color:T.inkLight}}>{localDate(b.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}</span>
                       </div>
-                      <span style={{fontWeight:500,color:T.clay}}>{fmt(r.amount)}</span>
+                      <span style={{fontWeight:500,color:b.status==="posted"?T.inkLight:T.clay,textDecoration:b.status==="skipped"?"line-through":"none"}}>
+                        {b.status==="posted"&&"✓ "}{fmt(b.amount)}
+                      </span>
                     </div>
                   ))}
                   <div style={{borderTop:`1px solid ${T.border}`,paddingTop:8,marginTop:4,display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:13}}>
@@ -645,7 +2612,7 @@ export default function MeFirst() {
               <button onClick={()=>setTab("savings")} style={{background:"none",border:"none",cursor:"pointer",fontFamily:T.sans,fontSize:12,color:T.inkLight}}>See all</button>
             </div>
             {goals.slice(0,2).map(g=>{
-              const pct=Math.min(g.current/g.target*100,100);
+              const pct=Math.min(balances[g.id]/g.target*100,100);
               return (
                 <Card key={g.id}>
                   <div style={{display:"flex",justifyContent:"space-between",marginBottom:8}}>
@@ -654,7 +2621,7 @@ export default function MeFirst() {
                   </div>
                   <Bar pct={pct} color={T.sage} style={{marginBottom:6}}/>
                   <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:12}}>
-                    <span style={{color:T.sage,fontWeight:500}}>{fmt(g.current)}</span>
+                    <span style={{color:T.sage,fontWeight:500}}>{fmt(balances[g.id])}</span>
                     <span style={{color:T.inkLight}}>{fmt(g.target)}</span>
                   </div>
                 </Card>
@@ -668,9 +2635,169 @@ export default function MeFirst() {
           <div style={{display:"grid",gap:12}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
               <h2 style={{fontStyle:"italic",fontWeight:300,fontSize:26}}>Spending</h2>
-              <Btn variant="primary" icon="plus" onClick={()=>setSheet("addSpend")}>Add</Btn>
+              <div style={{display:"flex",gap:8}}>
+                <Btn variant="outline" onClick={()=>setSheet("import")}>Import</Btn>
+                <Btn variant="primary" icon="plus" onClick={()=>setSheet("addSpend")}>Add</Btn>
+              </div>
+            </div>
+            <div style={{display:"flex",gap:4,background:T.paper,borderRadius:12,padding:4}}>
+              {[["log","This period"],["search","Search"],["trends","Trends"]].map(([id,label])=>(
+                <button key={id} onClick={()=>setSpendView(id)} style={{flex:1,fontFamily:T.sans,fontSize:12,fontWeight:500,padding:"8px 4px",borderRadius:9,border:"none",cursor:"pointer",transition:"all 0.18s",
+                  background:spendView===id?T.cream:"transparent",
+                  color:spendView===id?T.ink:T.inkLight,
+                  boxShadow:spendView===id?"0 1px 4px rgba(70,49,38,0.12)":"none"}}>
+                  {label}
+                </button>
+              ))}
             </div>
 
+            {spendView==="trends" && (()=>{
+              const [kind, key] = trendSeries.split(":");
+              const bucket = kind==="bucket" && budget.find(b=>String(b.id)===key);
+              const values = kind==="cat" ? trendSum(s=>s.category===key) : bucket ? trendSum(inBucket(bucket)) : trendSum(()=>true);
+              const color = kind==="cat" ? getCatColor(key, budget) : bucket ? bucket.color : T.clay;
+              const avg = values.reduce((a,v)=>a+v,0)/(values.length||1);
+              const cur = values[values.length-1]||0;
+              const split = trendSplit==="bucket"
+                ? budget.map(b=>({label:b.label, color:b.color, values:trendSum(inBucket(b))}))
+                : trendCats.map((c,i)=>({label:c, color:CHART_COLORS[i%CHART_COLORS.length], values:trendSum(s=>s.category===c)}));
+              const shown = split.filter(x=>x.values.some(v=>v>0));
+              return (
+                <>
+                  <Field label="Look back">
+                    <Sel value={trendLookback} onChange={e=>setTrendLookback(parseInt(e.target.value))}>
+                      {[6,12,18,24,36].map(n=><option key={n} value={n}>{n} pay periods</option>)}
+                    </Sel>
+                  </Field>
+                  <Card>
+                    <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:10,marginBottom:12}}>
+                      <Label style={{marginBottom:0}}>Trend</Label>
+                      <Sel value={trendSeries} onChange={e=>setTrendSeries(e.target.value)} style={{fontSize:13,padding:"6px 10px",width:"auto"}}>
+                        <option value="total">Total spend</option>
+                        <optgroup label="Categories">{trendCats.map(c=><option key={c} value={"cat:"+c}>{c}</option>)}</optgroup>
+                        <optgroup label="Buckets">{budget.map(b=><option key={b.id} value={"bucket:"+b.id}>{b.label}</option>)}</optgroup>
+                      </Sel>
+                    </div>
+                    <TrendLine values={values} labels={trendLabels} color={color}/>
+                    <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:12,color:T.inkLight,marginTop:10}}>
+                      <span>Average <strong style={{color:T.ink}}>{fmt(avg)}</strong></span>
+                      <span>This period <strong style={{color:cur>avg?T.clay:T.sage}}>{fmt(cur)}</strong>
+                        {avg>0 && ` (${cur>=avg?"+":"−"}${Math.round(Math.abs(cur-avg)/avg*100)}%)`}
+                      </span>
+                    </div>
+                  </Card>
+                  <Card>
+                    <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:10,marginBottom:12}}>
+                      <Label style={{marginBottom:0}}>Breakdown</Label>
+                      <Sel value={trendSplit} onChange={e=>setTrendSplit(e.target.value)} style={{fontSize:13,padding:"6px 10px",width:"auto"}}>
+                        <option value="category">By category</option>
+                        <option value="bucket">By bucket</option>
+                      </Sel>
+                    </div>
+                    <StackedBars series={shown} labels={trendLabels}/>
+                    <div style={{display:"flex",flexWrap:"wrap",gap:"4px 12px",marginTop:10}}>
+                      {shown.map(x=>(
+                        <span key={x.label} style={{display:"flex",alignItems:"center",gap:5,fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                          <span style={{width:8,height:8,borderRadius:2,background:x.color}}/>{x.label}
+                        </span>
+                      ))}
+                    </div>
+                  </Card>
+                  <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7,textAlign:"center"}}>
+                    The highlighted period is the current one and is still in progress
+                  </div>
+                </>
+              );
+            })()}
+
+            {spendView==="search" && (()=>{
+              const matches = spending.filter(x=>matchesFilter(x, filter, today)).sort((a,b)=>a.date<b.date?1:a.date>b.date?-1:0);
+              // Spending and money in are summed apart; savings moves are in neither
+              const sumOf = types => matches.filter(x=>types.includes(x.type)).reduce((a,x)=>a+x.amount,0);
+              const spentTotal = sumOf(["Expense"]), inTotal = sumOf(["Income","Credit"]);
+              const toggle = (key, v) => setFilter(f=>({...f,[key]:f[key].includes(v)?f[key].filter(y=>y!==v):[...f[key],v]}));
+              const chip = (on, label, onClick) => (
+                <button key={label} onClick={onClick} style={{fontFamily:T.sans,fontSize:12,padding:"6px 11px",borderRadius:100,cursor:"pointer",
+                  border:`1.5px solid ${on?T.ink:T.border}`,background:on?T.ink:"transparent",color:on?T.cream:T.inkLight}}>{label}</button>
+              );
+              return (
+                <>
+                  <div style={{display:"flex",gap:8}}>
+                    <TextInput placeholder="Search names and notes…" value={filter.q} onChange={e=>setFilter(f=>({...f,q:e.target.value}))}/>
+                    <Btn variant={showFilters?"primary":"outline"} style={{flexShrink:0,padding:"11px 14px"}} onClick={()=>setShowFilters(v=>!v)}>Filters</Btn>
+                  </div>
+                  {savedFilters.length>0 && (
+                    <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>
+                      {savedFilters.map(v=>(
+                        <span key={v.id} style={{display:"flex",alignItems:"center",gap:4,background:T.paper,borderRadius:100,padding:"5px 8px 5px 12px",fontFamily:T.sans,fontSize:12}}>
+                          <button onClick={()=>setFilter({...EMPTY_FILTER,...v.filter})} style={{background:"none",border:"none",cursor:"pointer",padding:0,fontFamily:T.sans,fontSize:12,color:T.ink}}>{v.name}</button>
+                          <button onClick={()=>setSavedFilters(list=>list.filter(x=>x.id!==v.id))} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                            <Icon name="close" size={12} color={T.ink}/>
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {showFilters && (
+                    <Card style={{display:"grid",gap:12}}>
+                      <div>
+                        <Label>Category</Label>
+                        <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>{[...new Set([...spendCats, ...spending.flatMap(splitLines).map(l=>l.category)])].map(c=>chip(filter.cats.includes(c), c, ()=>toggle("cats",c)))}</div>
+                      </div>
+                      <div>
+                        <Label>Type</Label>
+                        <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>{TRANSACTION_TYPES.map(t=>chip(filter.types.includes(t), t, ()=>toggle("types",t)))}</div>
+                      </div>
+                      {allTags.length>0 && (
+                        <div>
+                          <Label>Tags</Label>
+                          <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>{allTags.map(t=>chip((filter.tags||[]).includes(t), "#"+t, ()=>setFilter(f=>({...f,tags:(f.tags||[]).includes(t)?f.tags.filter(y=>y!==t):[...(f.tags||[]),t]}))))}</div>
+                        </div>
+                      )}
+                      {goals.length>0 && (
+                        <Field label="Linked goal">
+                          <Sel value={filter.goalId} onChange={e=>setFilter(f=>({...f,goalId:e.target.value}))}>
+                            <option value="">Any</option>
+                            {goals.map(g=><option key={g.id} value={g.id}>{g.name}</option>)}
+                          </Sel>
+                        </Field>
+                      )}
+                      <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+                        <Field label="Min (€)"><NumInput value={filter.min} onChange={v=>setFilter(f=>({...f,min:v}))} placeholder="0"/></Field>
+                        <Field label="Max (€)"><NumInput value={filter.max} onChange={v=>setFilter(f=>({...f,max:v}))} placeholder="any"/></Field>
+                      </div>
+                      <Field label="When">
+                        <Sel value={filter.range} onChange={e=>setFilter(f=>({...f,range:e.target.value}))}>
+                          {DATE_RANGES.map(d=><option key={d.id} value={d.id}>{d.label}</option>)}
+                        </Sel>
+                      </Field>
+                      {filter.range==="custom" && (
+                        <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+                          <Field label="From"><TextInput type="date" value={filter.from} onChange={e=>setFilter(f=>({...f,from:e.target.value}))}/></Field>
+                          <Field label="To"><TextInput type="date" value={filter.to} onChange={e=>setFilter(f=>({...f,to:e.target.value}))}/></Field>
+                        </div>
+                      )}
+                      <div style={{display:"flex",gap:8,paddingTop:10,borderTop:`1px solid ${T.border}`}}>
+                        <TextInput placeholder="Name this view…" value={filterName} onChange={e=>setFilterName(e.target.value)} onKeyDown={e=>{ if(e.key==="Enter") saveFilter(); }}/>
+                        <Btn variant="sand" style={{flexShrink:0,padding:"11px 14px",opacity:filterName.trim()&&isFiltering(filter)?1:0.4}} onClick={saveFilter}>Save</Btn>
+                      </div>
+                    </Card>
+                  )}
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
+                    <span><strong style={{color:T.ink}}>{matches.length}</strong> transaction{matches.length===1?"":"s"}
+                      {spentTotal>0 && <> · <strong style={{color:T.ink}}>{fmt(spentTotal)}</strong> spent</>}
+                      {inTotal>0 && <> · <strong style={{color:T.sage}}>+{fmt(inTotal)}</strong> in</>}</span>
+                    {isFiltering(filter) && <button onClick={()=>setFilter(EMPTY_FILTER)} style={{background:"none",border:"none",cursor:"pointer",fontFamily:T.sans,fontSize:12,color:T.inkLight,textDecoration:"underline"}}>Clear</button>}
+                  </div>
+                  {matches.slice(0,200).map(x=>txRow(x, {withYear:true}))}
+                  {matches.length>200 && (
+                    <div style={{fontFamily:T.sans,fontSize:12,color:T.inkLight,textAlign:"center"}}>Showing the newest 200 — narrow the search to see the rest</div>
+                  )}
+                </>
+              );
+            })()}
+
+            {spendView==="log" && (<>
             <Card style={{background:T.paper,padding:"12px 16px"}}>
               <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:2}}>
                 <button onClick={()=>setPeriodIdx(i=>Math.min(i+1,periods.length-1))} style={{background:"none",border:"none",cursor:"pointer",padding:6,opacity:periodIdx>=periods.length-1?0.3:1}}>
@@ -684,30 +2811,68 @@ export default function MeFirst() {
                   <Icon name="chevron" size={18} color={T.ink} strokeWidth={1.5}/>
                 </button>
               </div>
-              <Bar pct={freeToSpend>0?periodSpend/freeToSpend*100:0} color={periodSpend>freeToSpend?T.clay:T.sand} style={{marginTop:8}}/>
+              <Bar pct={freeToSpend>0?(periodSpend-billsPosted)/freeToSpend*100:0} color={remaining<0?T.clay:T.sand} style={{marginTop:8}}/>
               <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,textAlign:"center",marginTop:5}}>
                 {remaining>=0?`${fmt(remaining)} free to spend · ${fmt(recurringTotal)} reserved for bills`:`${fmt(Math.abs(remaining))} over your free budget`}
               </div>
+              {curPeriod.start && (
+                <button onClick={()=>setCompare(c=>!c)} style={{display:"block",margin:"8px auto 0",background:"none",border:"none",cursor:"pointer",fontFamily:T.sans,fontSize:11,color:compare?T.ink:T.inkLight,textDecoration:"underline"}}>
+                  {compare?"Hide comparison":"Compare with earlier periods"}
+                </button>
+              )}
             </Card>
 
-            {recurring.length>0 && (
+            {catCompare && (
+              <Card>
+                <Label>Compared with earlier periods</Label>
+                <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginBottom:10}}>
+                  {catCompare.periods===0 ? "No earlier periods to compare with yet"
+                    : catCompare.days ? `First ${catCompare.days} day${catCompare.days===1?"":"s"} of each period, so the numbers are like for like`
+                    : `Full periods · average of the last ${catCompare.periods}`}
+                </div>
+                <div style={{display:"grid",gridTemplateColumns:"1fr auto auto auto",gap:"6px 10px",fontFamily:T.sans,fontSize:12,alignItems:"baseline"}}>
+                  <span style={{color:T.inkLight,fontSize:10}}></span>
+                  <span style={{color:T.inkLight,fontSize:10,textAlign:"right"}}>NOW</span>
+                  <span style={{color:T.inkLight,fontSize:10,textAlign:"right"}}>VS LAST</span>
+                  <span style={{color:T.inkLight,fontSize:10,textAlign:"right"}}>VS AVG</span>
+                  {[{...totalCompare,key:"Total"}, ...Object.values(catCompare.rows).sort((a,b)=>b.now-a.now)].map((x,i)=>(
+                    <React.Fragment key={x.key}>
+                      <span style={{fontWeight:i===0?600:500,color:i===0?T.ink:getCatColor(x.key,budget)}}>{x.key}</span>
+                      <span style={{textAlign:"right",fontWeight:i===0?600:400}}>{fmt(x.now)}</span>
+                      <span style={{textAlign:"right",color:deltaColor(x.now,x.prev)}}>{fmtDelta(x.now,x.prev)}</span>
+                      <span style={{textAlign:"right",color:deltaColor(x.now,x.avg)}}>{fmtDelta(x.now,x.avg)}</span>
+                    </React.Fragment>
+                  ))}
+                </div>
+              </Card>
+            )}
+
+            {bills.length>0 && (
               <Card style={{background:T.paper,padding:"14px 16px",borderLeft:`3px solid ${T.clay}`}}>
                 <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:10}}>
                   <div style={{display:"flex",gap:8,alignItems:"center"}}>
                     <Icon name="repeat" size={16} color={T.clay}/>
-                    <Label style={{marginBottom:0,color:T.clay}}>Recurring this month</Label>
+                    <Label style={{marginBottom:0,color:T.clay}}>Recurring this period</Label>
                   </div>
-                  <button onClick={()=>setSheet("settings")} style={{background:"none",border:"none",cursor:"pointer",fontFamily:T.sans,fontSize:11,color:T.inkLight}}>Manage</button>
+                  <button onClick={()=>{setSettingsPage("spending");setSheet("settings");}} style={{background:"none",border:"none",cursor:"pointer",fontFamily:T.sans,fontSize:11,color:T.inkLight}}>Manage</button>
                 </div>
-                {recurring.map(r=>(
-                  <div key={r.id} style={{display:"flex",justifyContent:"space-between",marginBottom:8,fontFamily:T.sans,fontSize:13}}>
-                    <span>{r.name} <span style={{fontSize:11,color:T.inkLight}}>· day {r.dayOfMonth}</span></span>
-                    <span style={{fontWeight:500,color:T.clay}}>{fmt(r.amount)}</span>
-                  </div>
+                {bills.map(b=>(
+                  <button key={occurrenceKey(b.r.id,b.occurrence)}
+                    onClick={()=>{
+                      if (b.entry) { setEditSpend({...b.entry}); setSheet("editSpend"); }
+                      else setEditBill({r:b.r, occurrence:b.occurrence, date:b.date, amount:b.amount, skip:b.status==="skipped"});
+                    }}
+                    style={{display:"flex",justifyContent:"space-between",width:"100%",marginBottom:8,fontFamily:T.sans,fontSize:13,background:"none",border:"none",padding:0,cursor:"pointer",color:T.ink,textAlign:"left",opacity:b.status==="skipped"?0.45:1}}>
+                    <span>
+                      {b.r.name} <span style={{fontSize:11,color:T.inkLight}}>· {localDate(b.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}</span>
+                      <span style={{fontSize:11,color:b.status==="posted"?T.sage:T.inkLight}}> · {b.status==="posted"?"posted":b.status==="skipped"?"skipped":"upcoming"}</span>
+                    </span>
+                    <span style={{fontWeight:500,color:b.status==="posted"?T.inkLight:T.clay,textDecoration:b.status==="skipped"?"line-through":"none"}}>{fmt(b.amount)}</span>
+                  </button>
                 ))}
                 <div style={{borderTop:`1px solid ${T.border}`,paddingTop:8,display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:13}}>
-                  <span style={{color:T.inkLight}}>Monthly total</span>
-                  <span style={{fontWeight:600,color:T.clay}}>{fmt(recurringTotal)}</span>
+                  <span style={{color:T.inkLight}}>Still to come</span>
+                  <span style={{fontWeight:600,color:T.clay}}>{fmt(recurringTotal-billsPosted)}</span>
                 </div>
               </Card>
             )}
@@ -737,34 +2902,7 @@ export default function MeFirst() {
             {curPeriod.items.length>0 && (
               <>
                 <div style={{fontStyle:"italic",fontSize:16,opacity:0.6,marginTop:4}}>Transactions</div>
-                {[...curPeriod.items].sort((a,b)=>localDate(b.date)-localDate(a.date)).map((s,idx)=>{
-                  const catColor = getCatColor(s.category, budget);
-                  return (
-                  <SwipeableRow key={s.id} hintOnMount={idx===0}
-                    onEdit={()=>{setEditSpend({...s});setSheet("editSpend");}}
-                    onDelete={()=>setSpending(sp=>sp.filter(x=>x.id!==s.id))}
-                  >
-                    <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",background:T.white,padding:"12px 14px",boxShadow:`0 1px 8px rgba(70,49,38,0.06)`}}>
-                      <div style={{display:"flex",gap:12,alignItems:"center",flex:1}}>
-                        <div style={{background:catColor+"18",border:`1.5px solid ${catColor}30`,borderRadius:12,width:42,height:42,display:"flex",alignItems:"center",justifyContent:"center",flexShrink:0}}>
-                          <CatEmoji cat={s.category} size={20}/>
-                        </div>
-                        <div style={{flex:1,minWidth:0}}>
-                          <div style={{fontFamily:T.sans,fontSize:14,fontWeight:500,marginBottom:2}}>{s.name||s.category}</div>
-                          <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap"}}>
-                            <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
-                              {localDate(s.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}
-                            </span>
-                            <span style={{fontFamily:T.sans,fontSize:11,color:catColor,fontWeight:500}}>{s.category}</span>
-                            {s.type&&s.type!=="Expense"&&<TypeBadge type={s.type}/>}
-                          </div>
-                        </div>
-                      </div>
-                      <div style={{fontFamily:T.sans,fontSize:15,fontWeight:500,color:s.type==="Transfer to Savings"?T.sage:s.type==="Investment"?T.teal:T.clay,flexShrink:0}}>{fmt(s.amount)}</div>
-                    </div>
-                  </SwipeableRow>
-                  );
-                })}
+                {[...curPeriod.items].sort((a,b)=>localDate(b.date)-localDate(a.date)).map((s,idx)=>txRow(s, {hint:idx===0}))}
               </>
             )}
 
@@ -779,6 +2917,7 @@ export default function MeFirst() {
                 <Btn variant="outline" style={{margin:"0 auto"}} icon="plus" onClick={()=>setSheet("addSpend")}>Add expense</Btn>
               </Card>
             )}
+            </>)}
           </div>
         )}
 
@@ -787,10 +2926,13 @@ export default function MeFirst() {
           <div style={{display:"grid",gap:12}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
               <h2 style={{fontStyle:"italic",fontWeight:300,fontSize:26}}>Savings Goals</h2>
-              <Btn variant="primary" icon="plus" onClick={()=>setSheet("addGoal")}>Add</Btn>
+              <div style={{display:"flex",gap:8}}>
+                {goals.length>0 && <Btn variant="outline" onClick={()=>{setDraftSpend({...freshSpend(),type:"Withdrawal",category:"Savings"});setSheet("addSpend");}}>Withdraw</Btn>}
+                <Btn variant="primary" icon="plus" onClick={()=>setSheet("addGoal")}>Add</Btn>
+              </div>
             </div>
             {goals.length>0 && (()=>{
-              const totalSaved  = goals.reduce((a,g)=>a+g.current,0);
+              const totalSaved  = goals.reduce((a,g)=>a+balances[g.id],0);
               const totalTarget = goals.reduce((a,g)=>a+g.target,0);
               const overallPct  = totalTarget>0?Math.min(totalSaved/totalTarget*100,100):0;
               return (
@@ -812,28 +2954,58 @@ export default function MeFirst() {
                 </Card>
               );
             })()}
+            {sweepProposal.length>0 && (
+              <Card onClick={openSweep} style={{padding:"12px 16px",display:"flex",alignItems:"center",gap:10}}>
+                <div style={{flex:1,fontFamily:T.sans,fontSize:13}}>
+                  Payday sweep <span style={{color:T.inkLight}}>· {fmt(sweepProposal.reduce((a,x)=>a+x.amount,0))} proposed{sweptThisPeriod?" · done this period":""}</span>
+                </div>
+                <Icon name="chevron" size={18} color={T.inkLight}/>
+              </Card>
+            )}
+            {goalsNeed>savingsAllowance+0.005 && (
+              <div style={{background:T.clay+"18",borderRadius:12,padding:"12px 14px",fontFamily:T.sans,fontSize:13,color:T.clay,border:`1px solid ${T.clay}44`,lineHeight:1.5}}>
+                Your goal dates need <strong>{fmt(goalsNeed)}</strong> per pay period, but the Savings bucket allows {fmt(savingsAllowance)}.
+                <div style={{fontSize:11,opacity:0.8,marginTop:4}}>
+                  {savingsBucket ? "Raise the Savings %, push a date back or lower a priority." : "Add a bucket called \"Savings\" to plan for your goals."}
+                </div>
+              </div>
+            )}
             {goals.length===0 && (
               <EmptyState emoji="🌱" title="No goals yet"
                 subtitle="What are you saving towards? A trip, an emergency fund, something you've been dreaming of?"
                 action="Create first goal" onAction={()=>setSheet("addGoal")}/>
             )}
-            {goals.map(g=>{
-              const pct=Math.min(g.current/g.target*100,100);
-              const daysTo=g.current>=g.target?0:Math.ceil((g.target-g.current)/15);
+            {goalsByPriority.map(g=>{
+              const pct=Math.min(balances[g.id]/g.target*100,100);
+              const {plan, pace, covered} = goalInfo[g.id];
+              const daysTo=balances[g.id]>=g.target?0:pace>0?Math.ceil((g.target-balances[g.id])/pace):null;
               return (
                 <Card key={g.id} onClick={()=>{setEditGoal({...g});setSheet("editGoal");}}>
                   <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:10}}>
                     <div style={{fontStyle:"italic",fontSize:20}}>{g.name}</div>
-                    <Icon name="chevron" size={18} color={T.inkLight}/>
+                    <div style={{display:"flex",gap:6,alignItems:"center"}}>
+                      {g.priority && g.priority!=="medium" && <Pill color={g.priority==="high"?T.clay:T.inkLight}>{goalPriority(g).label} priority</Pill>}
+                      <Icon name="chevron" size={18} color={T.inkLight}/>
+                    </div>
                   </div>
                   <Bar pct={pct} color={T.sage} style={{marginBottom:8}}/>
                   <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:13}}>
-                    <span style={{color:T.sage,fontWeight:500}}>{fmt(g.current)}</span>
+                    <span style={{color:T.sage,fontWeight:500}}>{fmt(balances[g.id])}</span>
                     <span style={{color:T.inkLight}}>{fmt(g.target)}</span>
                   </div>
                   <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginTop:5}}>
-                    {daysTo===0?"🎉 Goal reached!":`~${daysTo} days at €15/day`}
+                    {daysTo===0 ? "🎉 Goal reached!"
+                      : daysTo ? `~${daysTo} days at €${pace.toFixed(2)}/day`
+                      : `No net savings in the last ${PACE_DAYS} days`}
                   </div>
+                  {plan && (
+                    <div style={{fontFamily:T.sans,fontSize:11,marginTop:3,color:covered&&!plan.overdue?T.inkLight:T.clay}}>
+                      {plan.overdue
+                        ? `Target date passed · ${fmt(plan.left)} still to go`
+                        : `${fmt(plan.perMonth)}/month${payMode(schedule).perYear!==12?` · ${fmt(plan.perPeriod)} per pay period`:""} to reach it by ${localDate(g.targetDate).toLocaleDateString("en-GB",{day:"numeric",month:"short",year:"numeric"})}`}
+                      {!covered && !plan.overdue && " · beyond your Savings bucket"}
+                    </div>
+                  )}
                 </Card>
               );
             })}
@@ -845,75 +3017,89 @@ export default function MeFirst() {
           <div style={{display:"grid",gap:12}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
               <h2 style={{fontStyle:"italic",fontWeight:300,fontSize:26}}>Wishlist</h2>
-              <Btn variant="primary" icon="plus" onClick={()=>setSheet("addWish")}>Add</Btn>
+              <div style={{display:"flex",gap:4}}>
+                <Btn variant="ghost" onClick={()=>setSheet("cooling")}>Cooling-off</Btn>
+                <Btn variant="primary" icon="plus" onClick={()=>setSheet("addWish")}>Add</Btn>
+              </div>
             </div>
             {hourlyRate>0 && (
               <div style={{background:T.cream,borderRadius:10,padding:"10px 14px",display:"flex",gap:8,alignItems:"center",border:`1px solid ${T.border}`}}>
                 <span style={{fontFamily:T.sans,fontSize:12,color:T.inkLight}}>Your time is worth</span>
                 <span style={{fontFamily:T.sans,fontSize:14,fontWeight:600,color:T.ink}}>€{hourlyRate.toFixed(2)}/hr</span>
-                <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginLeft:"auto"}}>{fmt(monthlyPay)} · {monthlyHours}h</span>
+                <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginLeft:"auto"}}>{fmt(monthlyIncome)} · {monthlyHours}h</span>
+              </div>
+            )}
+            {worthDue.length>0 && (
+              <div style={{display:"grid",gap:12}}>
+                <Label style={{marginBottom:0}}>Was it worth it?</Label>
+                {worthDue.map(w=>(
+                  <Card key={w.id} style={{background:T.sage+"12",border:`1px solid ${T.sage}44`}}>
+                    <div style={{fontStyle:"italic",fontSize:17,marginBottom:2}}>{w.name}</div>
+                    <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginBottom:12}}>
+                      {fmt(w.bought.price)} · bought {localDate(w.bought.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})} · verdict then: {impulseLabel(w.bought.score).text}
+                    </div>
+                    <div style={{display:"flex",gap:8}}>
+                      {WORTH_IT.map(o=>(
+                        <Btn key={o.value} variant="outline" style={{flex:1,fontSize:12,padding:"10px 6px",background:T.white}} onClick={()=>rateWish(w.id,o.value)}>{o.emoji} {o.label}</Btn>
+                      ))}
+                    </div>
+                  </Card>
+                ))}
               </div>
             )}
-            {wishlist.length===0 && (
+            {activeWishes.length===0 && (
               <EmptyState emoji="✨" title="Your wishlist is empty"
                 subtitle="Add things you're tempted to buy. The impulse quiz will help you decide if it's worth it — or just a moment."
                 action="Add first item" onAction={()=>setSheet("addWish")}/>
             )}
-            {wishlist.map(item=>{
-              const score = impulseScore(item.daysWanted, item.quizScore);
-              const {text, color, bg} = impulseLabel(score);
-              const hours = hourlyRate>0 ? (item.price/hourlyRate).toFixed(1) : "—";
-              const steps = [15,35,55,75,90];
-              const activeStep = steps.findIndex(s=>score<s);
-              const filledSteps = activeStep===-1 ? 5 : activeStep;
+            {[["Ready to decide", readyWishes], ["Cooling off", coolingWishes]].map(([title, items])=>items.length>0 && (
+              <div key={title} style={{display:"grid",gap:12}}>
+                <Label style={{marginBottom:0}}>{title} · {items.length}</Label>
+                {items.map(wishCard)}
+              </div>
+            ))}
+            {boughtWishes.length>0 && (()=>{
+              const report = verdictReport(boughtWishes);
               return (
-                <Card key={item.id} style={{padding:"16px 16px"}}>
-                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:12}}>
-                    <div style={{flex:1,minWidth:0,paddingRight:8}}>
-                      <div style={{display:"flex",alignItems:"center",gap:6,marginBottom:4}}>
-                        <CatEmoji cat={item.category} size={14}/>
-                        <span style={{fontFamily:T.sans,fontSize:10,letterSpacing:1.5,textTransform:"uppercase",color:T.inkLight}}>{item.category}</span>
+                <div style={{display:"grid",gap:12,marginTop:8}}>
+                  <Label style={{marginBottom:0}}>Bought · {boughtWishes.length}</Label>
+                  {report.length>0 && (
+                    <Card>
+                      <div style={{fontStyle:"italic",fontSize:17,marginBottom:4}}>Verdicts vs. how it turned out</div>
+                      <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginBottom:12}}>How happy you were with things, by the verdict they had when you bought them</div>
+                      <div style={{display:"grid",gap:10}}>
+                        {report.map(v=>(
+                          <div key={v.text}>
+                            <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:12,marginBottom:4}}>
+                              <span style={{color:v.color,fontWeight:500}}>{v.text}</span>
+                              <span style={{color:T.inkLight}}>{Math.round(v.satisfaction*100)}% satisfied · {v.count} item{v.count===1?"":"s"}</span>
+                            </div>
+                            <Bar pct={v.satisfaction*100} color={v.color}/>
+                          </div>
+                        ))}
                       </div>
-                      <div style={{fontStyle:"italic",fontSize:19,color:T.ink,lineHeight:1.2}}>{item.name}</div>
-                    </div>
-                    <button onClick={()=>setWishlist(w=>w.filter(x=>x.id!==item.id))} style={{background:"none",border:"none",cursor:"pointer",padding:4,opacity:0.25,flexShrink:0}}>
-                      <Icon name="trash" size={15} color={T.ink}/>
-                    </button>
-                  </div>
-                  <div style={{display:"flex",gap:0,marginBottom:14}}>
-                    <div style={{flex:1,background:T.paper,borderRadius:"10px 0 0 10px",padding:"8px 12px"}}>
-                      <div style={{fontFamily:T.sans,fontSize:10,color:T.inkLight,marginBottom:2}}>PRICE</div>
-                      <div style={{fontFamily:T.sans,fontSize:16,fontWeight:600,color:T.ink}}>{fmt(item.price)}</div>
-                    </div>
-                    <div style={{flex:1,background:T.paper,borderRadius:"0 10px 10px 0",padding:"8px 12px",borderLeft:`1px solid ${T.border}`}}>
-                      <div style={{fontFamily:T.sans,fontSize:10,color:T.inkLight,marginBottom:2}}>HOURS OF WORK</div>
-                      <div style={{fontFamily:T.sans,fontSize:16,fontWeight:600,color:T.inkLight}}>{hours}h</div>
-                    </div>
-                  </div>
-                  <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:14}}>
-                    <Pill color={color} bg={bg}>{text}</Pill>
-                    <div style={{display:"flex",gap:5,alignItems:"center"}}>
-                      {[0,1,2,3,4].map(i=>(
-                        <div key={i} style={{width:i<filledSteps?10:8,height:i<filledSteps?10:8,borderRadius:"50%",background:i<filledSteps?color:T.border,transition:"all 0.4s ease"}}/>
-                      ))}
-                    </div>
-                  </div>
-                  <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
-                    <Field label="Days wanted">
-                      <NumInput value={item.daysWanted} onChange={v=>setWishlist(w=>w.map(x=>x.id===item.id?{...x,daysWanted:Math.round(v)}:x))}/>
-                    </Field>
-                    <div style={{display:"flex",alignItems:"flex-end"}}>
-                      <Btn variant={item.quizScore!=null?"outline":"primary"} style={{width:"100%",fontSize:13}} onClick={()=>{
-                        setQuizItem(item);
-                        setQuizAns(item.savedAnswers||{});
-                      }}>
-                        {item.quizScore!=null?"Retake quiz":"Take the quiz"}
-                      </Btn>
-                    </div>
-                  </div>
-                </Card>
+                    </Card>
+                  )}
+                  {boughtWishes.map(w=>{
+                    const verdict = impulseLabel(w.bought.score);
+                    const worth = WORTH_IT.find(o=>o.value===w.bought.worth);
+                    return (
+                      <div key={w.id} style={{display:"flex",alignItems:"center",gap:10,background:T.white,borderRadius:12,padding:"10px 14px",boxShadow:`0 1px 8px rgba(70,49,38,0.06)`}}>
+                        <CatEmoji cat={w.category} size={18}/>
+                        <div style={{flex:1,minWidth:0}}>
+                          <div style={{fontFamily:T.sans,fontSize:14,fontWeight:500,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{w.name}</div>
+                          <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                            {fmt(w.bought.price)} · waited {w.bought.days} day{w.bought.days===1?"":"s"} · {localDate(w.bought.date).toLocaleDateString("en-GB",{day:"numeric",month:"short",year:"numeric"})}
+                          </div>
+                        </div>
+                        <Pill color={verdict.color} bg={verdict.bg}>{verdict.text}</Pill>
+                        <span title={worth?.label||"Not rated yet"} style={{fontSize:18,opacity:worth?1:0.25}}>{worth?.emoji||"…"}</span>
+                      </div>
+                    );
+                  })}
+                </div>
               );
-            })}
+            })()}
           </div>
         )}
 
@@ -922,20 +3108,26 @@ export default function MeFirst() {
           <div style={{display:"grid",gap:12}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
               <h2 style={{fontStyle:"italic",fontWeight:300,fontSize:26}}>Budget Plan</h2>
-              <Btn variant="ghost" onClick={()=>{setSettingsPage("budget");setSheet("settings");}}>Edit %</Btn>
+              <div style={{display:"flex",gap:4}}>
+                {curPeriod.start && <Btn variant="ghost" style={compare?{color:T.ink}:undefined} onClick={()=>setCompare(c=>!c)}>{compare?"Hide compare":"Compare"}</Btn>}
+                <Btn variant="ghost" onClick={()=>{setSettingsPage("budget");setSheet("settings");}}>Edit %</Btn>
+              </div>
             </div>
             <Card style={{background:T.ink,color:T.white}}>
               <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-end"}}>
                 <div>
-                  <Label style={{color:"rgba(250,246,240,0.4)"}}>Monthly income</Label>
-                  <div style={{fontSize:28,fontWeight:300,fontStyle:"italic"}}>{fmt(monthlyPay)}</div>
+                  <Label style={{color:"rgba(250,246,240,0.4)"}}>{payMode(schedule).perYear===12?"Monthly income":"Income this period"}</Label>
+                  <div style={{fontSize:28,fontWeight:300,fontStyle:"italic"}}>{fmt(income.total)}</div>
                 </div>
                 <div style={{textAlign:"right"}}>
                   <Label style={{color:"rgba(250,246,240,0.4)"}}>Free to spend</Label>
                   <div style={{fontSize:28,fontWeight:300,fontStyle:"italic",color:"#a8d4a0"}}>{fmt(freeToSpend)}</div>
                 </div>
               </div>
-              <div style={{fontFamily:T.sans,fontSize:10,opacity:0.3,marginTop:8}}>{curPeriod.label||"current period"} · {fmt(recurringTotal)} reserved for bills</div>
+              <div style={{fontFamily:T.sans,fontSize:10,opacity:0.3,marginTop:8}}>
+                {curPeriod.label||"current period"} · {income.salary ? `${fmt(income.salary)} salary received` : `${fmt(income.expected)} salary expected`}
+                {income.other>0 && ` + ${fmt(income.other)} other`} · {fmt(recurringTotal)} reserved for bills
+              </div>
             </Card>
 
             {budget.map(b=>{
@@ -943,19 +3135,20 @@ export default function MeFirst() {
               // Categories are unique per bucket by design; this is enforced in the UI.
               // We still guard against it here by ensuring we only use this bucket's cats.
               const bucketCats = b.cats || [];
-              const ideal = monthlyPay * b.pct / 100;
-              const actual = curPeriod.items
-                .filter(s => bucketCats.includes(s.category) && (s.type==="Expense"||!s.type))
-                .reduce((a,x)=>a+x.amount,0);
+              const carry = bucketCarry(b);
+              const ideal = bucketBudget(b);
+              const actual = bucketSpent(b, curPeriod.items);
               const over = actual > ideal;
               const pct = ideal > 0 ? Math.min(actual/ideal*100,100) : 0;
               const noCats = bucketCats.length === 0;
               return (
-                <Card key={b.id||b.label} style={{padding:"14px 16px",borderLeft:`3px solid ${over?T.clay:b.color}`}}>
+                <Card key={b.id} style={{padding:"14px 16px",borderLeft:`3px solid ${over?T.clay:b.color}`}}>
                   <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:10}}>
                     <div>
                       <div style={{fontStyle:"italic",fontSize:17,marginBottom:2}}>{b.label}</div>
-                      <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>{b.pct}% of income · {fmt(ideal)} budget</div>
+                      <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                        {isFixed(b) ? "Fixed" : `${b.pct}% of ${fixedTotal ? "what's left" : "income"}`} · {carry ? `${fmt(ideal-carry)} ${carry>0?"+":"−"} ${fmt(Math.abs(carry))} carried = ${fmt(ideal)} available` : `${fmt(ideal)} budget`}
+                      </div>
                     </div>
                     <div style={{textAlign:"right"}}>
                       <div style={{fontFamily:T.sans,fontSize:18,fontWeight:500,color:over?T.clay:actual>0?T.sage:T.inkLight}}>{fmt(actual)}</div>
@@ -977,12 +3170,24 @@ export default function MeFirst() {
                       {bucketCats.join(", ")}
                     </div>
                   )}
+                  {bucketCompare && !noCats && (()=>{
+                    const c = bucketCompare.row(String(b.id));
+                    return (
+                      <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:11,marginTop:6,paddingTop:6,borderTop:`1px solid ${T.border}`}}>
+                        <span style={{color:T.inkLight}}>{bucketCompare.days?`First ${bucketCompare.days} days: ${fmt(c.now)}`:"Full period"}</span>
+                        <span>
+                          <span style={{color:T.inkLight}}>vs last </span><span style={{color:deltaColor(c.now,c.prev)}}>{fmtDelta(c.now,c.prev)}</span>
+                          <span style={{color:T.inkLight}}> · vs avg </span><span style={{color:deltaColor(c.now,c.avg)}}>{fmtDelta(c.now,c.avg)}</span>
+                        </span>
+                      </div>
+                    );
+                  })()}
                 </Card>
               );
             })}
             <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,textAlign:"center"}}>
-              Total: {budget.reduce((a,b)=>a+b.pct,0)}%
-              {budget.reduce((a,b)=>a+b.pct,0)!==100&&<span style={{color:T.clay}}> — should add up to 100%</span>}
+              {fixedTotal>0 && `${fmt(fixedTotal)} fixed · `}Total: {pctTotal}%{fixedTotal>0 && " of the rest"}
+              {pctTotal!==100&&budget.some(b=>!isFixed(b))&&<span style={{color:T.clay}}> — should add up to 100%</span>}
             </div>
           </div>
         )}
@@ -1003,19 +3208,26 @@ export default function MeFirst() {
       {/* ══ Sheets ══ */}
 
       {/* Add Spend */}
-      <Sheet open={sheet==="addSpend"} onClose={()=>setSheet(null)} title="Add transaction">
+      <Sheet open={sheet==="addSpend"} onClose={()=>{setSheet(null); if (draftSpend.wishId) setDraftSpend(freshSpend());}} title="Add transaction">
         <div style={{display:"grid",gap:14}}>
+          {draftSpend.wishId && (
+            <div style={{background:T.sage+"18",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight}}>
+              Buying <strong style={{color:T.ink}}>{wishlist.find(w=>w.id===draftSpend.wishId)?.name}</strong> from your wishlist · {draftSpend.type==="Expense" ? "it moves to Bought once saved" : "only an expense moves it to Bought"}
+            </div>
+          )}
           {draftSpend.type==="Expense" && parseFloat(draftSpend.amount)>0 && (()=>{
             const amt = parseFloat(draftSpend.amount)||0;
             const afterSpend = remaining - amt;
             const hoursEq = hourlyRate>0?(amt/hourlyRate).toFixed(1):"—";
             const isOver = afterSpend < 0;
             const bucketMatch = budget.find(b=>(b.cats||[]).includes(draftSpend.category));
-            const bucketIdeal = bucketMatch ? monthlyPay*bucketMatch.pct/100 : 0;
+            const bucketIdeal = bucketMatch ? bucketBudget(bucketMatch) : 0;
+            const inMatch = l => (bucketMatch.cats||[]).includes(l.category);
             const bucketActual = bucketMatch
-              ? curPeriod.items.filter(s=>(bucketMatch.cats||[]).includes(s.category)&&(s.type==="Expense"||!s.type)).reduce((a,x)=>a+x.amount,0)
+              ? curPeriod.items.flatMap(spendLines).filter(inMatch).reduce((a,x)=>a+x.amount,0)
               : 0;
-            const bucketAfter = bucketIdeal - bucketActual - amt;
+            const bucketAmt = bucketMatch && draftSpend.splits ? draftSpend.splits.filter(inMatch).reduce((a,l)=>a+(l.amount||0),0) : amt;
+            const bucketAfter = bucketIdeal - bucketActual - bucketAmt;
             const bucketOver = bucketAfter < 0;
             return (
               <div style={{background:isOver?"#fff0ee":T.paper,borderRadius:12,padding:"12px 14px",display:"grid",gap:8}}>
@@ -1051,7 +3263,7 @@ export default function MeFirst() {
             <NumInput value={draftSpend.amount||""} onChange={v=>setDraftSpend(d=>({...d,amount:v}))} placeholder="0"/>
           </Field>
           <Field label="Type">
-            <Sel value={draftSpend.type} onChange={e=>setDraftSpend(d=>({...d,type:e.target.value,goalId:""}))}>
+            <Sel value={draftSpend.type} onChange={e=>setDraftSpend(d=>({...d,type:e.target.value,goalId:"",toGoalId:"",covers:"",sourceId:liveSources[0]?.id}))}>
               {TRANSACTION_TYPES.map(t=><option key={t}>{t}</option>)}
             </Sel>
           </Field>
@@ -1069,25 +3281,98 @@ export default function MeFirst() {
               Create a savings goal first to log transfers.
             </div>
           )}
+          {(draftSpend.type==="Withdrawal"||draftSpend.type==="Goal Transfer") && goals.length>0 && (
+            <Field label={draftSpend.type==="Withdrawal"?"From which goal?":"From goal"}>
+              <Sel value={draftSpend.goalId} onChange={e=>setDraftSpend(d=>({...d,goalId:e.target.value}))}>
+                <option value="">Select a goal…</option>
+                {goals.map(g=><option key={g.id} value={g.id}>{g.name} · {fmt(balances[g.id])}</option>)}
+              </Sel>
+            </Field>
+          )}
+          {draftSpend.type==="Goal Transfer" && goals.length>0 && (
+            <Field label="To goal">
+              <Sel value={draftSpend.toGoalId||""} onChange={e=>setDraftSpend(d=>({...d,toGoalId:e.target.value}))}>
+                <option value="">Select a goal…</option>
+                {goals.filter(g=>String(g.id)!==String(draftSpend.goalId)).map(g=><option key={g.id} value={g.id}>{g.name}</option>)}
+              </Sel>
+            </Field>
+          )}
+          {draftSpend.type==="Withdrawal" && goals.length>0 && (
+            <Field label="Pays for an expense? (optional)">
+              <Sel value={draftSpend.covers||""} onChange={e=>{
+                const x = spending.find(s=>s.id===parseInt(e.target.value));
+                setDraftSpend(d=>({...d,covers:x?x.id:"",amount:x&&!parseFloat(d.amount)?ownShare(x):d.amount}));
+              }}>
+                <option value="">No — just moving money out</option>
+                {curPeriod.items.filter(isSpend).sort((a,b)=>a.date<b.date?1:-1).map(s=>(
+                  <option key={s.id} value={s.id}>{s.name||s.category} · {fmt(ownShare(s))} · {localDate(s.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}</option>
+                ))}
+              </Sel>
+            </Field>
+          )}
+          {(draftSpend.type==="Withdrawal"||draftSpend.type==="Goal Transfer") && goals.length===0 && (
+            <div style={{background:T.sand+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
+              Create a savings goal first to move money out of it.
+            </div>
+          )}
+          {draftSpend.type==="Income" && liveSources.length>0 && (
+            <Field label="Source">
+              <Sel value={draftSpend.sourceId??""} onChange={e=>setDraftSpend(d=>({...d,sourceId:parseInt(e.target.value)}))}>
+                {!liveSources.some(x=>x.id===draftSpend.sourceId) && <option value="">Select a source…</option>}
+                {liveSources.map(x=><option key={x.id} value={x.id}>{x.name}</option>)}
+              </Sel>
+            </Field>
+          )}
+          {draftSpend.type==="Income" && liveSources.length===0 && (
+            <div style={{background:T.sand+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
+              Every income source is archived. Restore one or add a new one under{" "}
+              <button onClick={()=>{setSettingsPage("general");setSheet("settings");}} style={{background:"none",border:"none",cursor:"pointer",padding:0,fontFamily:T.sans,fontSize:13,color:T.clay}}>Settings → Income sources</button>.
+            </div>
+          )}
           <Field label="Name (optional)">
-            <TextInput placeholder={draftSpend.category} value={draftSpend.name} onChange={e=>setDraftSpend(d=>({...d,name:e.target.value}))}/>
+            <TextInput placeholder={draftSpend.type==="Income" ? incomeSources.find(x=>x.id===draftSpend.sourceId)?.name : draftSpend.category} value={draftSpend.name} onChange={e=>setDraftSpend(d=>({...d,name:e.target.value}))}/>
           </Field>
-          {draftSpend.type==="Expense" && (
+          {(draftSpend.type==="Expense"||draftSpend.type==="Credit") && (draftSpend.type==="Expense" && draftSpend.splits ? (
+            <Field label="Split across categories">
+              <SplitFields value={draftSpend.splits} total={parseFloat(draftSpend.amount)||0} cats={spendCats}
+                onChange={v=>setDraftSpend(d=>v.length ? {...d,splits:v} : (({splits,...x})=>x)(d))}/>
+            </Field>
+          ) : (
             <Field label="Category">
               <Sel value={draftSpend.category} onChange={e=>setDraftSpend(d=>({...d,category:e.target.value}))}>
                 {spendCats.map(c=><option key={c}>{c}</option>)}
               </Sel>
+              {draftSpend.type==="Expense" && (
+                <button onClick={()=>setDraftSpend(d=>({...d,splits:[{category:d.category,amount:parseFloat(d.amount)||0},{category:spendCats.find(c=>c!==d.category)||d.category,amount:0}]}))}
+                  style={{background:"none",border:"none",cursor:"pointer",padding:0,marginTop:2,fontFamily:T.sans,fontSize:12,color:T.clay,justifySelf:"start"}}>Split across categories</button>
+              )}
             </Field>
-          )}
+          ))}
           <Field label="Date">
             <TextInput type="date" value={draftSpend.date} onChange={e=>setDraftSpend(d=>({...d,date:e.target.value}))}/>
           </Field>
+          <Field label="Tags (optional)">
+            <TagInput value={draftSpend.tags} onChange={t=>setDraftSpend(d=>({...d,tags:t}))} known={allTags}/>
+          </Field>
+          <Field label="Note (optional)">
+            <TextInput placeholder="e.g. reimbursable, paid for Anna" value={draftSpend.note||""} onChange={e=>setDraftSpend(d=>({...d,note:e.target.value}))}/>
+          </Field>
           {/* FIX: Disable save for transfers without a goal selected */}
-          <Btn variant="primary" style={{width:"100%",opacity:(
-            (draftSpend.type==="Transfer to Savings"||draftSpend.type==="Investment") && !draftSpend.goalId && goals.length>0
-          )?0.4:1}}
-            disabled={(draftSpend.type==="Transfer to Savings"||draftSpend.type==="Investment") && !draftSpend.goalId && goals.length>0}
-            onClick={addSpend}>Save</Btn>
+          {(()=>{
+            const blocked =
+              ((draftSpend.type==="Transfer to Savings"||draftSpend.type==="Investment") && !draftSpend.goalId && goals.length>0) ||
+              (draftSpend.type==="Withdrawal" && !draftSpend.goalId) ||
+              (draftSpend.type==="Goal Transfer" && (!draftSpend.goalId || !draftSpend.toGoalId || draftSpend.goalId===draftSpend.toGoalId)) ||
+              (draftSpend.type==="Expense" && splitGap(draftSpend.splits, parseFloat(draftSpend.amount)||0)!==0) ||
+              (draftSpend.type==="Income" && !liveSources.some(x=>x.id===draftSpend.sourceId)) ||
+              overdraws(draftSpend);
+            return <>
+              {overdraws(draftSpend) && <div style={{fontFamily:T.sans,fontSize:12,color:T.clay}}>
+                Only {fmt(Math.max(balances[parseInt(draftSpend.goalId)]||0, 0))} is in {goals.find(g=>g.id===parseInt(draftSpend.goalId))?.name||"this goal"}
+              </div>}
+              <Btn variant="primary" style={{width:"100%",opacity:blocked?0.4:1}} disabled={blocked} onClick={addSpend}>Save</Btn>
+            </>;
+          })()}
         </div>
       </Sheet>
 
@@ -1095,22 +3380,65 @@ export default function MeFirst() {
       <Sheet open={sheet==="editSpend"&&!!editSpend} onClose={()=>setSheet(null)} title="Edit transaction">
         {editSpend&&(
           <div style={{display:"grid",gap:14}}>
+            {editSpend.recurringId && (
+              <div style={{background:T.paper,borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight,display:"flex",gap:8,alignItems:"center"}}>
+                <Icon name="repeat" size={14} color={T.clay}/>
+                Posted from {recurring.find(r=>r.id===editSpend.recurringId)?.name||"a recurring expense"} · deleting it skips this occurrence
+              </div>
+            )}
+            {funded.has(editSpend.id) && (
+              <div style={{background:T.blush+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight}}>
+                {funded.get(editSpend.id)<editSpend.amount ? `${fmt(funded.get(editSpend.id))} paid` : "Paid"} from savings ({goals.find(g=>g.id===parseInt(spending.find(s=>s.covers===editSpend.id)?.goalId))?.name||"a goal"}) · {funded.get(editSpend.id)<editSpend.amount ? "only the rest counts" : "it doesn't count"} against this period
+              </div>
+            )}
             <Field label="Name">
               <TextInput value={editSpend.name||""} onChange={e=>setEditSpend({...editSpend,name:e.target.value})} placeholder={editSpend.category}/>
             </Field>
-            <Field label="Category">
-              <Sel value={editSpend.category} onChange={e=>setEditSpend({...editSpend,category:e.target.value})}>
-                {spendCats.map(c=><option key={c}>{c}</option>)}
-              </Sel>
-            </Field>
+            {editSpend.type==="Income" ? (
+              <Field label="Source">
+                <Sel value={editSpend.sourceId??""} onChange={e=>setEditSpend({...editSpend,sourceId:parseInt(e.target.value)})}>
+                  {incomeSources.filter(x=>!x.archived || x.id===editSpend.sourceId).map(x=><option key={x.id} value={x.id}>{x.name}</option>)}
+                </Sel>
+              </Field>
+            ) : editSpend.type==="Expense" && editSpend.splits ? (
+              <Field label="Split across categories">
+                <SplitFields value={editSpend.splits} total={editSpend.amount} cats={spendCats}
+                  onChange={v=>setEditSpend(v.length ? {...editSpend,splits:v} : (({splits,...x})=>x)(editSpend))}/>
+              </Field>
+            ) : (
+              <Field label="Category">
+                <Sel value={editSpend.category} onChange={e=>setEditSpend({...editSpend,category:e.target.value})}>
+                  {spendCats.map(c=><option key={c}>{c}</option>)}
+                </Sel>
+                {editSpend.type==="Expense" && (
+                  <button onClick={()=>setEditSpend({...editSpend,splits:[{category:editSpend.category,amount:editSpend.amount},{category:spendCats.find(c=>c!==editSpend.category)||editSpend.category,amount:0}]})}
+                    style={{background:"none",border:"none",cursor:"pointer",padding:0,marginTop:2,fontFamily:T.sans,fontSize:12,color:T.clay,justifySelf:"start"}}>Split across categories</button>
+                )}
+              </Field>
+            )}
             <Field label="Amount (€)"><NumInput value={editSpend.amount} onChange={v=>setEditSpend({...editSpend,amount:v})}/></Field>
             <Field label="Date"><TextInput type="date" value={editSpend.date} onChange={e=>setEditSpend({...editSpend,date:e.target.value})}/></Field>
-            <Btn variant="primary" style={{width:"100%"}} onClick={saveSpend}>Save changes</Btn>
-            <Btn variant="danger" style={{width:"100%"}} icon="trash" onClick={()=>{setSpending(s=>s.filter(x=>x.id!==editSpend.id));setEditSpend(null);setSheet(null);showToast("Deleted");}}>Delete</Btn>
+            <Field label="Tags"><TagInput value={editSpend.tags} onChange={t=>setEditSpend({...editSpend,tags:t})} known={allTags}/></Field>
+            <Field label="Note"><TextInput value={editSpend.note||""} onChange={e=>setEditSpend({...editSpend,note:e.target.value})}/></Field>
+            {(()=>{
+              const blocked = (editSpend.type==="Expense" && splitGap(editSpend.splits, editSpend.amount)!==0) || overdraws(editSpend);
+              return <>
+                {overdraws(editSpend) && <div style={{fontFamily:T.sans,fontSize:12,color:T.clay}}>
+                  That's more than {goals.find(g=>g.id===parseInt(editSpend.goalId))?.name||"the goal"} holds
+                </div>}
+                <Btn variant="primary" style={{width:"100%",opacity:blocked?0.4:1}} disabled={blocked} onClick={saveSpend}>Save changes</Btn>
+              </>;
+            })()}
+            <Btn variant="danger" style={{width:"100%"}} icon="trash" onClick={()=>{showToast("Deleted");deleteSpend(editSpend);setEditSpend(null);setSheet(null);}}>Delete</Btn>
           </div>
         )}
       </Sheet>
 
+      {/* Import Statement */}
+      <Sheet open={sheet==="import"} onClose={()=>setSheet(null)} title="Import statement">
+        {sheet==="import" && <ImportFlow spending={spending} spendCats={spendCats} incomeSources={liveSources} onImport={importSpending}/>}
+      </Sheet>
+
       {/* Add Wish */}
       <Sheet open={sheet==="addWish"} onClose={()=>setSheet(null)} title="Add to wishlist">
         <div style={{display:"grid",gap:14}}>
@@ -1121,16 +3449,94 @@ export default function MeFirst() {
               {spendCats.map(c=><option key={c}>{c}</option>)}
             </Sel>
           </Field>
+          <Field label="Cooling-off (days, optional)">
+            <NumInput value={draftWish.coolOff||""} placeholder={String(cooling.cats?.[draftWish.category]||cooling.days)} onChange={v=>setDraftWish({...draftWish,coolOff:Math.max(0,Math.round(v))})}/>
+          </Field>
           <Btn variant="primary" style={{width:"100%"}} onClick={addWish}>Add to wishlist</Btn>
         </div>
       </Sheet>
 
+      {/* Cooling-off */}
+      <Sheet open={sheet==="cooling"} onClose={()=>setSheet(null)} title="Cooling-off">
+        <div style={{display:"grid",gap:14}}>
+          <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,lineHeight:1.6}}>
+            How long something waits on the wishlist before it's ready to decide. An item's own cool-off wins over its category's.
+          </div>
+          <Field label="Default (days)">
+            <NumInput value={cooling.days} onChange={v=>setCooling(c=>({...c,days:Math.max(1,Math.round(v))}))}/>
+          </Field>
+          <Label style={{marginBottom:0}}>By category</Label>
+          <div style={{display:"grid",gap:6}}>
+            {spendCats.map(cat=>(
+              <div key={cat} style={{display:"flex",alignItems:"center",gap:10}}>
+                <CatEmoji cat={cat} size={14}/>
+                <span style={{flex:1,fontFamily:T.sans,fontSize:13,color:T.ink}}>{cat}</span>
+                <NumInput value={cooling.cats?.[cat]||""} placeholder={String(cooling.days)} style={{width:80,padding:"8px 10px",fontSize:14,textAlign:"center"}}
+                  onChange={v=>setCooling(c=>{ const {[cat]:_, ...rest} = c.cats||{}; return {...c, cats:v>0?{...rest,[cat]:Math.round(v)}:rest}; })}/>
+              </div>
+            ))}
+          </div>
+          <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7}}>Leave a category blank to use the default</div>
+          <Btn variant="primary" style={{width:"100%"}} onClick={()=>setSheet(null)}>Done</Btn>
+        </div>
+      </Sheet>
+
+      {/* Payday Sweep */}
+      <Sheet open={sheet==="sweep"} onClose={()=>setSheet(null)} title="Payday sweep">
+        <div style={{display:"grid",gap:12}}>
+          <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,lineHeight:1.6}}>
+            Proposed from your goals' sweep rules and this period's buckets. Adjust any amount before logging.
+          </div>
+          {sweptThisPeriod && (
+            <div style={{background:T.sand+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight}}>
+              You've already swept this period — logging again adds more transfers.
+            </div>
+          )}
+          {sweepRows.map((x,i)=>{
+            const g = goals.find(y=>y.id===x.goalId);
+            return (
+              <div key={x.goalId} style={{display:"grid",gridTemplateColumns:"auto 1fr 110px",gap:10,alignItems:"center",background:T.white,borderRadius:12,padding:"10px 12px",opacity:x.include?1:0.5}}>
+                <input type="checkbox" checked={x.include} onChange={e=>setSweepRows(rows=>rows.map((y,j)=>j===i?{...y,include:e.target.checked}:y))}/>
+                <div style={{minWidth:0}}>
+                  <div style={{fontFamily:T.sans,fontSize:13,fontWeight:500,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{g?.name}</div>
+                  <div style={{marginTop:3}}><TypeBadge type={x.type}/></div>
+                </div>
+                <NumInput value={x.amount} onChange={v=>setSweepRows(rows=>rows.map((y,j)=>j===i?{...y,amount:Math.max(0,v)}:y))} style={{padding:"8px 10px"}}/>
+              </div>
+            );
+          })}
+          {SWEEP_BUCKETS.map(b=>{
+            const used = sweepRows.filter(x=>x.include && x.type===b.type).reduce((a,x)=>a+x.amount,0);
+            const bucket = roleBucket(b.role);
+            if (!used || !bucket) return null;
+            const allowed = idealsNow[bucket.id];
+            return (
+              <div key={b.id} style={{fontFamily:T.sans,fontSize:12,color:used>allowed+0.005?T.clay:T.inkLight,display:"flex",justifyContent:"space-between"}}>
+                <span>{b.label}</span><span>{fmt(used)} of {fmt(allowed)}</span>
+              </div>
+            );
+          })}
+          <Btn variant="primary" style={{width:"100%",opacity:sweepRows.some(x=>x.include&&x.amount>0)?1:0.4}} disabled={!sweepRows.some(x=>x.include&&x.amount>0)} onClick={logSweep}>
+            Log {sweepRows.filter(x=>x.include&&x.amount>0).length} transfer{sweepRows.filter(x=>x.include&&x.amount>0).length===1?"":"s"}
+          </Btn>
+        </div>
+      </Sheet>
+
       {/* Add Goal */}
       <Sheet open={sheet==="addGoal"} onClose={()=>setSheet(null)} title="New savings goal">
         <div style={{display:"grid",gap:14}}>
           <Field label="Goal name"><TextInput placeholder="e.g. Dream holiday ✈️" value={draftGoal.name} onChange={e=>setDraftGoal({...draftGoal,name:e.target.value})}/></Field>
           <Field label="Target amount (€)"><NumInput value={draftGoal.target||""} onChange={v=>setDraftGoal({...draftGoal,target:v})} placeholder="0"/></Field>
           <Field label="Already saved (€)"><NumInput value={draftGoal.current||""} onChange={v=>setDraftGoal({...draftGoal,current:v})} placeholder="0"/></Field>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+            <Field label="Target date (optional)"><TextInput type="date" value={draftGoal.targetDate} onChange={e=>setDraftGoal({...draftGoal,targetDate:e.target.value})}/></Field>
+            <Field label="Priority">
+              <Sel value={draftGoal.priority} onChange={e=>setDraftGoal({...draftGoal,priority:e.target.value})}>
+                {GOAL_PRIORITIES.map(p=><option key={p.id} value={p.id}>{p.label}</option>)}
+              </Sel>
+            </Field>
+          </div>
+          <SweepFields value={draftGoal.sweep} onChange={sweep=>setDraftGoal({...draftGoal,sweep})}/>
           <Btn variant="primary" style={{width:"100%"}} onClick={addGoal}>Create goal</Btn>
         </div>
       </Sheet>
@@ -1141,17 +3547,97 @@ export default function MeFirst() {
           <div style={{display:"grid",gap:14}}>
             <Field label="Goal name"><TextInput value={editGoal.name} onChange={e=>setEditGoal({...editGoal,name:e.target.value})}/></Field>
             <Field label="Target (€)"><NumInput value={editGoal.target} onChange={v=>setEditGoal({...editGoal,target:v})}/></Field>
-            <Field label="Currently saved (€)"><NumInput value={editGoal.current} onChange={v=>setEditGoal({...editGoal,current:v})}/></Field>
+            <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
+              <Field label="Target date (optional)"><TextInput type="date" value={editGoal.targetDate||""} onChange={e=>setEditGoal({...editGoal,targetDate:e.target.value})}/></Field>
+              <Field label="Priority">
+                <Sel value={editGoal.priority||"medium"} onChange={e=>setEditGoal({...editGoal,priority:e.target.value})}>
+                  {GOAL_PRIORITIES.map(p=><option key={p.id} value={p.id}>{p.label}</option>)}
+                </Sel>
+              </Field>
+            </div>
+            <SweepFields value={editGoal.sweep} onChange={sweep=>setEditGoal({...editGoal,sweep})}/>
             <Btn variant="primary" style={{width:"100%"}} onClick={saveGoal}>Save changes</Btn>
+            {(()=>{
+              const live = goals.find(x=>x.id===editGoal.id);
+              const ledger = live ? goalLedger(live, spending) : [];
+              return (
+                <div style={{paddingTop:14,borderTop:`1px solid ${T.border}`,display:"grid",gap:12}}>
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"baseline"}}>
+                    <Label style={{marginBottom:0}}>Saved so far</Label>
+                    <span style={{fontFamily:T.sans,fontSize:15,fontWeight:500,color:T.sage}}>{fmt(balances[editGoal.id])} <span style={{color:T.inkLight,fontWeight:400,fontSize:12}}>of {fmt(editGoal.target)}</span></span>
+                  </div>
+                  <GoalChart ledger={ledger} target={parseFloat(editGoal.target)||0} today={today}/>
+                  {ledger.length===0 && <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,opacity:0.6}}>No contributions yet — log a transfer to this goal to start.</div>}
+                  <div style={{display:"grid",gap:6,maxHeight:220,overflowY:"auto"}}>
+                    {[...ledger].reverse().map(x=>(
+                      <div key={x.id} style={{display:"flex",alignItems:"center",gap:10,background:T.cream,borderRadius:10,padding:"8px 12px",fontFamily:T.sans,fontSize:13}}>
+                        <span style={{fontSize:11,color:T.inkLight,width:48,flexShrink:0}}>{localDate(x.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}</span>
+                        <span style={{flex:1,minWidth:0,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>
+                          {x.label}{x.adjustment && <span style={{fontSize:11,color:T.inkLight}}> · adjustment</span>}
+                        </span>
+                        <span style={{fontWeight:500,color:x.amount<0?T.clay:T.sage}}>{x.amount<0?"−":"+"}{fmt(Math.abs(x.amount))}</span>
+                        {x.adjustment && (
+                          <button onClick={()=>deleteAdjustment(x.adjustment.id)} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                            <Icon name="close" size={14} color={T.ink}/>
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <Label style={{marginBottom:0}}>Adjust balance</Label>
+                  <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:8}}>
+                    <Sel value={draftAdjust.sign} onChange={e=>setDraftAdjust(d=>({...d,sign:parseInt(e.target.value)}))} style={{padding:"11px 8px"}}>
+                      <option value={1}>Add</option>
+                      <option value={-1}>Take off</option>
+                    </Sel>
+                    <NumInput value={draftAdjust.amount} onChange={v=>setDraftAdjust(d=>({...d,amount:v}))} placeholder="€"/>
+                    <TextInput type="date" value={draftAdjust.date||today} onChange={e=>setDraftAdjust(d=>({...d,date:e.target.value}))} style={{padding:"11px 8px"}}/>
+                  </div>
+                  <div style={{display:"flex",gap:8}}>
+                    <TextInput placeholder="Reason, e.g. interest" value={draftAdjust.reason} onChange={e=>setDraftAdjust(d=>({...d,reason:e.target.value}))}
+                      onKeyDown={e=>{ if(e.key==="Enter") addAdjustment(); }}/>
+                    <Btn variant="sand" style={{flexShrink:0,padding:"11px 18px",opacity:parseFloat(draftAdjust.amount)&&draftAdjust.reason.trim()?1:0.4}} onClick={addAdjustment}>Add</Btn>
+                  </div>
+                </div>
+              );
+            })()}
             <Btn variant="danger" style={{width:"100%"}} icon="trash" onClick={deleteGoal}>Delete goal</Btn>
           </div>
         )}
       </Sheet>
 
+      {/* Alerts */}
+      <Sheet open={sheet==="alerts"} onClose={()=>{setSheet(null);setAlerts(list=>list.some(a=>!a.read)?list.map(a=>({...a,read:true})):list);}} title="Alerts">
+        <div style={{display:"grid",gap:8}}>
+          {shownAlerts.length===0 && (
+            <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,textAlign:"center",padding:"20px 0"}}>
+              {alertPrefs.enabled ? "Nothing yet — you'll hear about it here when a budget runs hot" : "Alerts are off · turn them on under Settings → Budget"}
+            </div>
+          )}
+          {shownAlerts.map(a=>{
+            const color = a.level==="over" ? T.clay : a.level==="pace" ? T.sand : a.level==="wish" ? T.sage : T.blush;
+            return (
+              <div key={a.id} style={{display:"flex",gap:10,alignItems:"flex-start",background:a.read?T.cream:color+"18",borderRadius:12,padding:"10px 12px",borderLeft:`3px solid ${color}`}}>
+                <div style={{flex:1,minWidth:0}}>
+                  <div style={{fontFamily:T.sans,fontSize:13,fontWeight:500,color:T.ink}}>{a.title}</div>
+                  <div style={{fontFamily:T.sans,fontSize:12,color:T.inkLight,marginTop:2}}>{a.body}</div>
+                  <div style={{fontFamily:T.sans,fontSize:10,color:T.inkLight,opacity:0.6,marginTop:4}}>{localDate(a.date).toLocaleDateString("en-GB",{day:"numeric",month:"short"})}</div>
+                </div>
+                <button onClick={()=>setAlerts(list=>list.map(x=>x.id===a.id?{...x,dismissed:true}:x))} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                  <Icon name="close" size={14} color={T.ink}/>
+                </button>
+              </div>
+            );
+          })}
+          {shownAlerts.length>0 && <Btn variant="ghost" style={{width:"100%"}} onClick={()=>setAlerts(list=>list.map(x=>({...x,dismissed:true})))}>Clear all</Btn>}
+          <Btn variant="outline" style={{width:"100%"}} onClick={()=>{setSettingsPage("budget");setSheet("settings");}}>Alert settings</Btn>
+        </div>
+      </Sheet>
+
       {/* Settings */}
-      <Sheet open={sheet==="settings"} onClose={()=>{setSheet(null);setConfirmClear(false);setSettingsPage("general");}} title="Settings">
+      <Sheet open={sheet==="settings"} onClose={()=>{setSheet(null);setConfirmClear(false);setRestore(null);setSettingsPage("general");}} title="Settings">
         <div style={{display:"flex",gap:4,background:T.paper,borderRadius:12,padding:4,marginBottom:20}}>
-          {[["general","General"],["spending","Spending"],["budget","Budget"]].map(([id,label])=>(
+          {[["general","General"],["spending","Spending"],["budget","Budget"],["calendar","Calendar"],["quiz","Quiz"]].map(([id,label])=>(
             <button key={id} onClick={()=>setSettingsPage(id)} style={{flex:1,fontFamily:T.sans,fontSize:12,fontWeight:500,padding:"8px 4px",borderRadius:9,border:"none",cursor:"pointer",transition:"all 0.18s",
               background:settingsPage===id?T.cream:"transparent",
               color:settingsPage===id?T.ink:T.inkLight,
@@ -1163,20 +3649,130 @@ export default function MeFirst() {
 
         {settingsPage==="general" && (
           <div style={{display:"grid",gap:14}}>
-            <Field label="Monthly income (€)"><NumInput value={monthlyPay} onChange={setMonthlyPay}/></Field>
+            <Field label="Monthly salary (€)"><NumInput value={monthlyPay} onChange={setMonthlyPay}/></Field>
             <Field label="Monthly working hours"><NumInput value={monthlyHours} onChange={setMonthlyHours} placeholder="e.g. 160"/></Field>
             <div style={{background:T.clay+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.clay,border:`1px solid ${T.clay}44`}}>
               Hourly rate: <strong>€{hourlyRate.toFixed(2)}</strong>
-              <span style={{fontSize:11,opacity:0.7}}> (calculated automatically)</span>
+              <span style={{fontSize:11,opacity:0.7}}> (from this period's income)</span>
+            </div>
+            <div>
+              <Label>Income sources</Label>
+              <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7,marginBottom:8}}>
+                Log money in as "Income" against a source. Your salary above is assumed until a salary payment is logged for the period.
+              </div>
+              <div style={{display:"grid",gap:6,marginBottom:12}}>
+                {incomeSources.map(x=>{
+                  const logged = spending.filter(s=>s.type==="Income" && s.sourceId===x.id).length;
+                  return removeSource===x.id ? (
+                    <div key={x.id} style={{display:"grid",gap:8,background:T.clay+"12",borderRadius:10,padding:"10px 12px",border:`1px solid ${T.clay}44`}}>
+                      <div style={{fontFamily:T.sans,fontSize:12,color:T.ink,lineHeight:1.5}}>
+                        {logged
+                          ? <>Archive <strong>{x.name}</strong>? Its {logged} payment{logged===1?"":"s"} keep counting as {INCOME_KINDS.find(k=>k.id===x.kind)?.label.toLowerCase()} income; it just won't be offered for new ones.</>
+                          : <>Delete <strong>{x.name}</strong>? Nothing has been logged against it.</>}
+                      </div>
+                      <div style={{display:"flex",gap:8}}>
+                        <Btn variant="outline" style={{flex:1,padding:"8px 12px"}} onClick={()=>setRemoveSource(null)}>Cancel</Btn>
+                        <Btn variant="danger" style={{flex:1,padding:"8px 12px"}} onClick={()=>deleteIncomeSource(x.id)}>{logged?"Archive":"Delete"}</Btn>
+                      </div>
+                    </div>
+                  ) : (
+                    <div key={x.id} style={{display:"flex",alignItems:"center",gap:10,background:T.cream,borderRadius:10,padding:"8px 12px",opacity:x.archived?0.55:1}}>
+                      <span style={{fontFamily:T.sans,fontSize:13,flex:1}}>{x.name}</span>
+                      <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                        {INCOME_KINDS.find(k=>k.id===x.kind)?.label}{x.archived ? " · archived" : income.bySource[x.id] ? ` · ${fmt(income.bySource[x.id])} this period` : ""}
+                      </span>
+                      {x.archived ? (
+                        <button onClick={()=>setIncomeSources(list=>list.map(y=>y.id===x.id?{...y,archived:false}:y))} style={{background:"none",border:"none",cursor:"pointer",padding:0,fontFamily:T.sans,fontSize:11,color:T.clay}}>Restore</button>
+                      ) : (
+                        <button onClick={()=>setRemoveSource(x.id)} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                          <Icon name="close" size={14} color={T.ink}/>
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <div style={{display:"grid",gridTemplateColumns:"1fr auto auto",gap:8}}>
+                <TextInput placeholder="New source…" value={draftSource.name} onChange={e=>setDraftSource(d=>({...d,name:e.target.value}))}
+                  onKeyDown={e=>{ if(e.key==="Enter") addIncomeSource(); }}/>
+                <Sel value={draftSource.kind} onChange={e=>setDraftSource(d=>({...d,kind:e.target.value}))} style={{width:"auto"}}>
+                  {INCOME_KINDS.map(k=><option key={k.id} value={k.id}>{k.label}</option>)}
+                </Sel>
+                <Btn variant="primary" style={{flexShrink:0,padding:"11px 18px"}} onClick={addIncomeSource}>Add</Btn>
+              </div>
             </div>
-            <Field label="Payday — day of month">
-              <NumInput value={paydayDay} onChange={v=>setPaydayDay(Math.min(28,Math.max(1,Math.round(v||1))))} placeholder="e.g. 6"/>
+            <Field label="Pay schedule">
+              <Sel value={paySchedule.mode} onChange={e=>{
+                const mode = e.target.value;
+                setPaySchedule(p=>({...p,mode,anchor:p.anchor||nextPayday}));
+                setPeriodIdx(0);
+              }}>
+                {PAY_MODES.map(m=><option key={m.id} value={m.id}>{m.label}</option>)}
+              </Sel>
             </Field>
+            {paySchedule.mode==="monthly" && (
+              <Field label="Payday — day of month">
+                <NumInput value={paydayDay} onChange={v=>setPaydayDay(Math.min(31,Math.max(1,Math.round(v||1))))} placeholder="e.g. 6"/>
+              </Field>
+            )}
+            {payMode(schedule).days && (
+              <Field label="A recent payday">
+                <TextInput type="date" value={paySchedule.anchor} onChange={e=>{setPaySchedule(p=>({...p,anchor:e.target.value}));setPeriodIdx(0);}}/>
+              </Field>
+            )}
             <div style={{background:T.paper,borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
               Next payday: <strong style={{color:T.ink}}>{localDate(nextPayday).toLocaleDateString("en-GB",{weekday:"short",day:"numeric",month:"long"})}</strong>
-              <div style={{fontSize:11,marginTop:3,opacity:0.7}}>Weekend → moved to previous Friday automatically</div>
+              <div style={{fontSize:11,marginTop:3,opacity:0.7}}>
+                {payMode(schedule).days
+                  ? `Every ${payMode(schedule).days} days · ${fmt(periodPay)} per paycheck`
+                  : holidays.country || holidays.closures.length
+                    ? `Weekends, holidays and closures → moved ${holidays.paydayRoll==="later"?"to the next":"to the previous"} working day`
+                    : "Weekend → moved to previous Friday automatically"}
+              </div>
+            </div>
+            <Btn variant="primary" style={{width:"100%",marginTop:4}} onClick={()=>{setSheet(null);setConfirmClear(false);setRestore(null);setSettingsPage("general");}}>Done</Btn>
+            <div style={{marginTop:8,paddingTop:16,borderTop:`1px solid ${T.border}`,display:"grid",gap:10}}>
+              <Label style={{marginBottom:0}}>Your data</Label>
+              <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
+                <Btn variant="outline" style={{width:"100%"}} onClick={exportBackup}>Export backup</Btn>
+                <label style={{fontFamily:T.sans,fontSize:14,fontWeight:500,border:`1.5px solid ${T.border}`,borderRadius:10,padding:"12px 20px",cursor:"pointer",color:T.ink,textAlign:"center"}}>
+                  Restore backup
+                  <input type="file" accept=".json,application/json" onChange={pickBackup} style={{display:"none"}}/>
+                </label>
+              </div>
+              {restore?.error && (
+                <div style={{background:"#fff0ee",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.clay,display:"flex",justifyContent:"space-between",gap:8}}>
+                  <span>{restore.error}</span>
+                  <button onClick={()=>setRestore(null)} style={{background:"none",border:"none",cursor:"pointer",padding:0}}><Icon name="close" size={14} color={T.clay}/></button>
+                </div>
+              )}
+              {restore?.data && (
+                <div style={{background:T.paper,borderRadius:12,padding:14,display:"grid",gap:8}}>
+                  <div style={{fontFamily:T.sans,fontSize:12,color:T.inkLight}}>
+                    {restore.fileName}
+                    {restore.exportedAt && <> · saved {new Date(restore.exportedAt).toLocaleDateString("en-GB",{day:"numeric",month:"short",year:"numeric"})}</>}
+                  </div>
+                  {restore.diff.map(d=>(
+                    <div key={d.name} style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:13}}>
+                      <span>{d.label}</span>
+                      <span style={{color:T.inkLight}}>
+                        {d.list
+                          ? [`${d.count} in file`, d.added&&`${d.added} new`, d.changed&&`${d.changed} changed`, d.removed&&`${d.removed} only here`].filter(Boolean).join(" · ")
+                          : d.changed ? `${d.from} → ${d.to}` : "same"}
+                      </span>
+                    </div>
+                  ))}
+                  <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,lineHeight:1.5,marginTop:4}}>
+                    Replace swaps everything for the backup. Merge adds missing records and keeps your current settings and budget.
+                  </div>
+                  <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:8}}>
+                    <Btn variant="outline" style={{padding:"10px 8px"}} onClick={()=>setRestore(null)}>Cancel</Btn>
+                    <Btn variant="sand" style={{padding:"10px 8px"}} onClick={()=>applyBackup("merge")}>Merge</Btn>
+                    <Btn variant="primary" style={{padding:"10px 8px"}} onClick={()=>applyBackup("replace")}>Replace</Btn>
+                  </div>
+                </div>
+              )}
             </div>
-            <Btn variant="primary" style={{width:"100%",marginTop:4}} onClick={()=>{setSheet(null);setConfirmClear(false);setSettingsPage("general");}}>Done</Btn>
             <div style={{marginTop:8,paddingTop:16,borderTop:`1px solid ${T.border}`}}>
               <Label>Danger zone</Label>
               {!confirmClear?(
@@ -1224,6 +3820,43 @@ export default function MeFirst() {
                 <Btn variant="primary" style={{flexShrink:0,padding:"11px 18px"}} onClick={addSpendCat}>Add</Btn>
               </div>
             </div>
+            <div style={{paddingTop:8,borderTop:`1px solid ${T.border}`}}>
+              <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:10,marginBottom:10}}>
+                <Label style={{marginBottom:0}}>Tags</Label>
+                <Sel value={tagRange.range} onChange={e=>setTagRange(r=>({...r,range:e.target.value}))} style={{fontSize:12,padding:"5px 10px",width:"auto"}}>
+                  {DATE_RANGES.map(d=><option key={d.id} value={d.id}>{d.label}</option>)}
+                </Sel>
+              </div>
+              {tagRange.range==="custom" && (
+                <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10,marginBottom:10}}>
+                  <Field label="From"><TextInput type="date" value={tagRange.from} onChange={e=>setTagRange(r=>({...r,from:e.target.value}))}/></Field>
+                  <Field label="To"><TextInput type="date" value={tagRange.to} onChange={e=>setTagRange(r=>({...r,to:e.target.value}))}/></Field>
+                </div>
+              )}
+              {allTags.length===0 && <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,opacity:0.6,marginBottom:12}}>Tag a transaction to group things like trips or gifts across categories</div>}
+              <div style={{display:"grid",gap:6,marginBottom:4}}>
+                {allTags.map(t=>{
+                  const tagged = spending.filter(x=>(x.tags||[]).includes(t) && matchesFilter(x, {...EMPTY_FILTER,...tagRange}, today));
+                  const spent = tagged.filter(x=>x.type==="Expense").reduce((a,x)=>a+x.amount,0);
+                  return (
+                    <div key={t} style={{display:"flex",alignItems:"center",gap:10,background:T.cream,borderRadius:10,padding:"8px 12px"}}>
+                      {renameTag?.from===t ? (
+                        <TextInput autoFocus value={renameTag.to} onChange={e=>setRenameTag({from:t,to:e.target.value})}
+                          onKeyDown={e=>{ if(e.key==="Enter") applyTagRename(); if(e.key==="Escape") setRenameTag(null); }}
+                          onBlur={applyTagRename} style={{fontSize:13,padding:"4px 8px"}}/>
+                      ) : (
+                        <button onClick={()=>setRenameTag({from:t,to:t})} style={{flex:1,textAlign:"left",background:"none",border:"none",cursor:"pointer",padding:0,fontFamily:T.sans,fontSize:13,color:T.ink}}>#{t}</button>
+                      )}
+                      <span style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,whiteSpace:"nowrap"}}>{tagged.length} · {fmt(spent)}</span>
+                      <button onClick={()=>deleteTag(t)} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                        <Icon name="close" size={14} color={T.ink}/>
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              {allTags.length>0 && <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7}}>Tap a tag to rename it everywhere · totals count expenses only</div>}
+            </div>
             <div style={{paddingTop:8,borderTop:`1px solid ${T.border}`}}>
               <Label style={{marginBottom:10}}>Recurring expenses</Label>
               {recurring.length===0&&<div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight,opacity:0.6,marginBottom:12}}>No recurring expenses yet</div>}
@@ -1236,7 +3869,7 @@ export default function MeFirst() {
                       <div>
                         <div style={{fontFamily:T.sans,fontSize:14,fontWeight:500}}>{r.name}</div>
                         <div style={{fontFamily:T.sans,fontSize:11,color}}>
-                          {r.category} · day {r.dayOfMonth}
+                          {r.category} · {recurringLabel(r)}
                         </div>
                       </div>
                     </div>
@@ -1257,48 +3890,129 @@ export default function MeFirst() {
         {settingsPage==="budget" && (
           <div style={{display:"grid",gap:10}}>
             {(()=>{
-              const total = budget.reduce((a,b)=>a+b.pct,0);
-              const ok = total===100;
+              const ok = pctTotal===100 || !budget.some(b=>!isFixed(b));
               return (
-                <div style={{fontFamily:T.sans,fontSize:12,color:ok?T.sage:T.clay,padding:"10px 14px",borderRadius:10,background:ok?T.sage+"18":"#fff0ee",display:"flex",justifyContent:"space-between",alignItems:"center"}}>
-                  <span>Total allocation</span>
-                  <strong>{total}% {ok?"✓":"— needs 100%"}</strong>
+                <div style={{fontFamily:T.sans,fontSize:12,color:ok?T.sage:T.clay,padding:"10px 14px",borderRadius:10,background:ok?T.sage+"18":"#fff0ee",display:"grid",gap:4}}>
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+                    <span>{fixedTotal>0 ? "Percentages of the rest" : "Total allocation"}</span>
+                    <strong>{pctTotal}% {ok?"✓":"— needs 100%"}</strong>
+                  </div>
+                  {fixedTotal>0 && (
+                    <div style={{color:fixedTotal>income.total?T.clay:T.inkLight}}>
+                      {fmt(fixedTotal)} in fixed buckets · {fmt(Math.max(income.total-fixedTotal,0))} left to share{fixedTotal>income.total && " — more than this period's income"}
+                    </div>
+                  )}
                 </div>
               );
             })()}
             {budget.map((b,i)=>{
-              const isOpen = expandedBucket === (b.id||b.label);
+              const isOpen = expandedBucket === (b.id);
               // FIX #6: Show visual warning when category is assigned to multiple buckets
               const assignedCats = b.cats||[];
               const otherBuckets = budget.filter((_,j)=>j!==i);
-              const ideal = monthlyPay*b.pct/100;
+              const ideal = bucketBudget(b);
+              const removing = removeBucket?.id===b.id;
               return (
-                <div key={b.id||b.label} style={{background:T.cream,borderRadius:14,overflow:"hidden",border:`1.5px solid ${isOpen?b.color:T.border}`}}>
-                  <button onClick={()=>setExpandedBucket(isOpen?null:(b.id||b.label))}
+                <div key={b.id} style={{background:T.cream,borderRadius:14,overflow:"hidden",border:`1.5px solid ${isOpen?b.color:T.border}`}}>
+                  <button onClick={()=>setExpandedBucket(isOpen?null:(b.id))}
                     style={{width:"100%",background:"none",border:"none",cursor:"pointer",padding:"12px 14px",display:"flex",alignItems:"center",gap:10,textAlign:"left"}}>
                     <div style={{width:12,height:12,borderRadius:"50%",background:b.color,flexShrink:0}}/>
                     <div style={{flex:1}}>
                       <div style={{fontStyle:"italic",fontSize:15,color:T.ink}}>{b.label}</div>
                       <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginTop:1}}>
-                        {b.pct}% · {fmt(ideal)}
+                        {isFixed(b) ? "Fixed" : `${b.pct}%`} · {fmt(ideal)}
                         {assignedCats.length>0
                           ? ` · ${assignedCats.length} categor${assignedCats.length===1?"y":"ies"}`
                           : " · no categories yet"}
                       </div>
                     </div>
                     <div style={{width:48,height:4,borderRadius:100,background:T.paper,overflow:"hidden"}}>
-                      <div style={{height:"100%",width:`${Math.min(b.pct,100)}%`,background:b.color,borderRadius:100}}/>
+                      <div style={{height:"100%",width:`${Math.min(isFixed(b)&&income.total>0?ideal/income.total*100:b.pct,100)}%`,background:b.color,borderRadius:100}}/>
                     </div>
                     <Icon name="chevron" size={16} color={T.inkLight} style={{transform:isOpen?"rotate(-90deg)":"rotate(90deg)",transition:"transform 0.2s"}}/>
                   </button>
                   {isOpen && (
                     <div style={{padding:"0 14px 14px",borderTop:`1px solid ${T.border}`}}>
-                      <div style={{display:"flex",gap:10,alignItems:"center",marginBottom:14,paddingTop:12}}>
-                        <Label style={{marginBottom:0,flex:1}}>Percentage</Label>
-                        <NumInput value={b.pct} onChange={v=>setBudget(bg=>bg.map((x,j)=>j===i?{...x,pct:v}:x))} style={{width:70,flex:"none",textAlign:"center"}}/>
-                        <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight}}>%</div>
+                      <div style={{display:"grid",gap:10,marginBottom:14,paddingTop:12}}>
+                        <Field label="Name">
+                          <TextInput value={b.label} onChange={e=>patchBucket(b.id,{label:e.target.value})}/>
+                        </Field>
+                        <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+                          {CHART_COLORS.map(c=>(
+                            <button key={c} onClick={()=>patchBucket(b.id,{color:c})} aria-label={c}
+                              style={{width:26,height:26,borderRadius:"50%",background:c,cursor:"pointer",border:`2px solid ${b.color===c?T.ink:"transparent"}`,boxShadow:`inset 0 0 0 2px ${T.cream}`}}/>
+                          ))}
+                        </div>
+                        {b.role && (
+                          <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight}}>
+                            Funds goal {b.role==="savings" ? "deadlines and savings sweeps" : "investment sweeps"}
+                          </div>
+                        )}
+                      </div>
+                      <div style={{display:"flex",gap:10,alignItems:"center",marginBottom:14}}>
+                        <Sel value={isFixed(b)?"fixed":"pct"} onChange={e=>patchBucket(b.id,e.target.value==="fixed"?{mode:"fixed",amount:b.amount??Math.round(ideal)}:{mode:undefined})} style={{flex:1}}>
+                          <option value="pct">Percentage</option>
+                          <option value="fixed">Fixed amount</option>
+                        </Sel>
+                        {isFixed(b) ? (
+                          <>
+                            <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight}}>€</div>
+                            <NumInput value={b.amount} onChange={v=>patchBucket(b.id,{amount:Math.max(0,v)})} style={{width:90,flex:"none",textAlign:"center"}}/>
+                          </>
+                        ) : (
+                          <>
+                            <NumInput value={b.pct} onChange={v=>setBudget(bg=>bg.map((x,j)=>j===i?{...x,pct:v}:x))} style={{width:70,flex:"none",textAlign:"center"}}/>
+                            <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight}}>%</div>
+                          </>
+                        )}
                       </div>
-                      <Bar pct={b.pct*5} color={b.color} style={{marginBottom:14}}/>
+                      {!isFixed(b) && <Bar pct={b.pct*5} color={b.color} style={{marginBottom:14}}/>}
+                      <div style={{display:"grid",gridTemplateColumns:b.rollover?.mode==="capped"?"1fr 90px":"1fr",gap:10,marginBottom:14}}>
+                        <Field label="Rollover">
+                          <Sel value={b.rollover?.mode||"none"} onChange={e=>{
+                            const mode = e.target.value;
+                            setBudget(bg=>bg.map((x,j)=>j===i?{...x,rollover:mode==="none"?undefined:{cap:0,from:periods[0]?isoDate(periods[0].start):today,...x.rollover,mode}}:x));
+                          }}>
+                            {ROLLOVER_MODES.map(m=><option key={m.id} value={m.id}>{m.label}</option>)}
+                          </Sel>
+                        </Field>
+                        {b.rollover?.mode==="capped" && (
+                          <Field label="Cap (€)">
+                            <NumInput value={b.rollover.cap} onChange={v=>setBudget(bg=>bg.map((x,j)=>j===i?{...x,rollover:{...x.rollover,cap:v}}:x))}/>
+                          </Field>
+                        )}
+                      </div>
+                      {rolls(b) && (
+                        <div style={{marginBottom:14}}>
+                          <Field label="Carrying since">
+                            <TextInput type="date" value={b.rollover.from||""} onChange={e=>setBudget(bg=>bg.map((x,j)=>j===i?{...x,rollover:{...x.rollover,from:e.target.value}}:x))}/>
+                          </Field>
+                          {(bucketHistory[b.id]||[]).length>0 && (
+                            <div style={{display:"grid",gap:4,marginTop:10}}>
+                              <div style={{display:"grid",gridTemplateColumns:"1.6fr 1fr 1fr 1fr 1fr",gap:6,fontFamily:T.sans,fontSize:9,letterSpacing:1,textTransform:"uppercase",color:T.inkLight}}>
+                                <span>Period</span><span style={{textAlign:"right"}}>Base</span><span style={{textAlign:"right"}}>In</span><span style={{textAlign:"right"}}>Spent</span><span style={{textAlign:"right"}}>Out</span>
+                              </div>
+                              {[...bucketHistory[b.id]].reverse().slice(0, ROLLOVER_PERIODS).map(x=>(
+                                <div key={x.start} style={{display:"grid",gridTemplateColumns:"1.6fr 1fr 1fr 1fr 1fr",gap:6,fontFamily:T.sans,fontSize:11,color:T.ink}}>
+                                  <span style={{color:T.inkLight}}>{x.label}</span>
+                                  <span style={{textAlign:"right"}}>{fmt(x.base)}</span>
+                                  <span style={{textAlign:"right",color:x.carry<0?T.clay:x.carry>0?T.sage:T.inkLight}}>{x.carry<0?"−":""}{fmt(Math.abs(x.carry))}</span>
+                                  <span style={{textAlign:"right"}}>{fmt(x.spent)}</span>
+                                  <span style={{textAlign:"right",color:x.out<0?T.clay:x.out>0?T.sage:T.inkLight}}>{x.start===isoDate(periods[0]?.start||todayMidnight) ? "—" : `${x.out<0?"−":""}${fmt(Math.abs(x.out))}`}</span>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      {alertPrefs.enabled && (
+                        <div style={{marginBottom:14}}>
+                          <Field label="Alert at (%)">
+                            <TextInput key={(b.thresholds||[]).join()} defaultValue={(b.thresholds||[]).join(", ")} placeholder={alertPrefs.thresholds.join(", ")}
+                              onBlur={e=>{ const t = parseThresholds(e.target.value); patchBucket(b.id,{thresholds:t.length?t:undefined}); }}/>
+                          </Field>
+                        </div>
+                      )}
                       <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,marginBottom:8}}>Assign categories:</div>
                       <div style={{display:"flex",flexWrap:"wrap",gap:6}}>
                         {spendCats.map(cat=>{
@@ -1328,11 +4042,203 @@ export default function MeFirst() {
                           );
                         })}
                       </div>
+                      {removing ? (
+                        <div style={{display:"grid",gap:10,marginTop:14,paddingTop:12,borderTop:`1px solid ${T.border}`}}>
+                          {b.role && (
+                            <div style={{background:T.sand+"22",borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:12,color:T.inkLight}}>
+                              {b.label} {BUCKET_ROLES[b.role]||"has a special role"}. Unless another bucket takes that over, nothing will.
+                            </div>
+                          )}
+                          <Field label={`Move ${assignedCats.length?"its categories":"spending"} to`}>
+                            <Sel value={removeBucket.to} onChange={e=>setRemoveBucket({...removeBucket,to:e.target.value,passRole:false})}>
+                              <option value="">Leave unassigned</option>
+                              {otherBuckets.map(x=><option key={x.id} value={x.id}>{x.label}</option>)}
+                            </Sel>
+                          </Field>
+                          {b.role && (()=>{
+                            const heir = otherBuckets.find(x=>String(x.id)===String(removeBucket.to));
+                            return heir && !heir.role && (
+                              <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+                                <input type="checkbox" checked={!!removeBucket.passRole} onChange={e=>setRemoveBucket({...removeBucket,passRole:e.target.checked})}/>
+                                {heir.label} takes over that role
+                              </label>
+                            );
+                          })()}
+                          <div style={{display:"flex",gap:8}}>
+                            <Btn variant="outline" style={{flex:1}} onClick={()=>setRemoveBucket(null)}>Cancel</Btn>
+                            <Btn variant="danger" style={{flex:1}} icon="trash" onClick={deleteBucket}>Delete {b.label}</Btn>
+                          </div>
+                        </div>
+                      ) : (
+                        <div style={{display:"flex",gap:8,marginTop:14,paddingTop:12,borderTop:`1px solid ${T.border}`}}>
+                          <Btn variant="ghost" style={{flex:1,opacity:i===0?0.3:1}} disabled={i===0} onClick={()=>moveBucket(b.id,-1)}>↑ Up</Btn>
+                          <Btn variant="ghost" style={{flex:1,opacity:i===budget.length-1?0.3:1}} disabled={i===budget.length-1} onClick={()=>moveBucket(b.id,1)}>↓ Down</Btn>
+                          <Btn variant="ghost" style={{flex:1,color:T.clay}} onClick={()=>setRemoveBucket({id:b.id,to:otherBuckets[0]?String(otherBuckets[0].id):""})}>Delete</Btn>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
               );
             })}
+            <Btn variant="primary" style={{width:"100%",marginTop:4}} icon="plus" onClick={addBucket}>Add bucket</Btn>
+            <div style={{display:"grid",gap:12,paddingTop:14,marginTop:4,borderTop:`1px solid ${T.border}`}}>
+              <Label style={{marginBottom:0}}>Alerts</Label>
+              <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+                <input type="checkbox" checked={alertPrefs.enabled} onChange={e=>setAlertPrefs(p=>({...p,enabled:e.target.checked}))}/>
+                Warn me when a budget runs hot
+              </label>
+              {alertPrefs.enabled && (
+                <>
+                  <Field label="Thresholds (% of budget)">
+                    <TextInput key={alertPrefs.thresholds.join()} defaultValue={alertPrefs.thresholds.join(", ")} placeholder="80, 100"
+                      onBlur={e=>{ const t = parseThresholds(e.target.value); setAlertPrefs(p=>({...p,thresholds:t.length?t:DEFAULT_ALERT_PREFS.thresholds})); }}/>
+                  </Field>
+                  <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+                    <input type="checkbox" checked={alertPrefs.pace} onChange={e=>setAlertPrefs(p=>({...p,pace:e.target.checked}))}/>
+                    Pace alert when spending is
+                    <NumInput value={alertPrefs.paceMargin} onChange={v=>setAlertPrefs(p=>({...p,paceMargin:Math.max(1,v)}))} style={{width:56,padding:"6px 8px",fontSize:13,textAlign:"center"}}/>
+                    points ahead
+                  </label>
+                  <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+                    <input type="checkbox" checked={alertPrefs.notify} onChange={e=>toggleNotify(e.target.checked)}/>
+                    Also show browser notifications
+                  </label>
+                  <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7}}>
+                    Checked on this device while the app is open · each alert fires once per pay period · a bucket can set its own thresholds above
+                  </div>
+                </>
+              )}
+            </div>
+            <Btn variant="outline" style={{width:"100%"}} onClick={()=>setSettingsPage("general")}>← Back to General</Btn>
+          </div>
+        )}
+
+        {settingsPage==="quiz" && (()=>{
+          const set = quiz.sets.find(x=>x.id===quizSetId) || quiz.sets[0];
+          return (
+            <div style={{display:"grid",gap:14}}>
+              <div style={{display:"flex",gap:8,alignItems:"flex-end"}}>
+                <div style={{flex:1}}>
+                  <Field label="Question set">
+                    <Sel value={set.id} onChange={e=>setQuizSetId(e.target.value)}>
+                      {quiz.sets.map(x=><option key={x.id} value={x.id}>{x.name}</option>)}
+                    </Sel>
+                  </Field>
+                </div>
+                <Btn variant="outline" icon="plus" style={{padding:"11px 14px"}} onClick={()=>addQuizSet(set)}>Copy</Btn>
+              </div>
+              <Field label="Name">
+                <TextInput value={set.name} onChange={e=>patchQuizSet(set.id, x=>({...x,name:e.target.value}))}/>
+              </Field>
+              <div style={{display:"grid",gap:10}}>
+                {set.questions.map((q,i)=>{
+                  const w = num(q.w);
+                  return (
+                    <div key={q.id} style={{background:T.cream,borderRadius:12,padding:"10px 12px",display:"grid",gap:8}}>
+                      <TextInput value={q.q} placeholder="Ask yourself…" onChange={e=>patchQuestion(set.id, q.id, {q:e.target.value})} style={{fontSize:14,padding:"8px 10px"}}/>
+                      <div style={{display:"grid",gridTemplateColumns:"1.2fr 1.2fr 64px",gap:8}}>
+                        <Sel value={q.kind||"yesno"} onChange={e=>patchQuestion(set.id, q.id, {kind:e.target.value})} style={{fontSize:13,padding:"8px 10px"}}>
+                          {QUIZ_KINDS.map(k=><option key={k.id} value={k.id}>{k.label}</option>)}
+                        </Sel>
+                        <Sel value={w<0?-1:1} onChange={e=>patchQuestion(set.id, q.id, {w:Math.abs(w)*parseInt(e.target.value)})} style={{fontSize:13,padding:"8px 10px"}}>
+                          <option value={1}>Counts for</option>
+                          <option value={-1}>Counts against</option>
+                        </Sel>
+                        <NumInput value={Math.abs(w)} onChange={v=>patchQuestion(set.id, q.id, {w:Math.abs(v)*(w<0?-1:1)})} style={{fontSize:13,padding:"8px 10px",textAlign:"center"}}/>
+                      </div>
+                      <div style={{display:"flex",gap:4,justifyContent:"flex-end"}}>
+                        <Btn variant="ghost" style={{padding:"4px 10px",fontSize:12,opacity:i===0?0.3:1}} disabled={i===0} onClick={()=>moveQuestion(set.id, q.id, -1)}>↑</Btn>
+                        <Btn variant="ghost" style={{padding:"4px 10px",fontSize:12,opacity:i===set.questions.length-1?0.3:1}} disabled={i===set.questions.length-1} onClick={()=>moveQuestion(set.id, q.id, 1)}>↓</Btn>
+                        <Btn variant="ghost" style={{padding:"4px 10px",fontSize:12,color:T.clay}} onClick={()=>patchQuizSet(set.id, x=>({...x,questions:x.questions.filter(y=>y.id!==q.id)}))}>Delete</Btn>
+                      </div>
+                    </div>
+                  );
+                })}
+                <Btn variant="outline" icon="plus" style={{width:"100%"}}
+                  onClick={()=>patchQuizSet(set.id, x=>({...x,questions:[...x.questions,{id:"q"+Date.now(), q:"", w:1, kind:"yesno"}]}))}>Add question</Btn>
+                <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7}}>
+                  The weight is how much a full "yes" (or a 5) moves the score · rewording a question keeps its saved answers
+                </div>
+              </div>
+              <div style={{paddingTop:8,borderTop:`1px solid ${T.border}`}}>
+                <Label style={{marginBottom:10}}>Set per category</Label>
+                <div style={{display:"grid",gap:6}}>
+                  {spendCats.map(cat=>(
+                    <div key={cat} style={{display:"flex",alignItems:"center",gap:10}}>
+                      <CatEmoji cat={cat} size={14}/>
+                      <span style={{flex:1,fontFamily:T.sans,fontSize:13,color:T.ink}}>{cat}</span>
+                      <Sel value={quiz.cats?.[cat]||""} style={{width:"auto",fontSize:12,padding:"6px 10px"}}
+                        onChange={e=>setQuiz(q=>{ const {[cat]:_, ...rest} = q.cats||{}; return {...q, cats:e.target.value?{...rest,[cat]:e.target.value}:rest}; })}>
+                        <option value="">{quiz.sets[0].name} (default)</option>
+                        {quiz.sets.slice(1).map(x=><option key={x.id} value={x.id}>{x.name}</option>)}
+                      </Sel>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              {quiz.sets.length>1 && (
+                <Btn variant="danger" icon="trash" style={{width:"100%"}} onClick={()=>deleteQuizSet(set.id)}>Delete {set.name}</Btn>
+              )}
+              <Btn variant="outline" style={{width:"100%"}} onClick={()=>setSettingsPage("general")}>← Back to General</Btn>
+            </div>
+          );
+        })()}
+
+        {settingsPage==="calendar" && (
+          <div style={{display:"grid",gap:14}}>
+            <Field label="Public holidays">
+              <Sel value={holidays.country} onChange={e=>{setHolidays(h=>({...h,country:e.target.value}));setPeriodIdx(0);}}>
+                <option value="">None — weekends only</option>
+                {Object.entries(HOLIDAY_CALENDARS).map(([id,c])=><option key={id} value={id}>{c.label}</option>)}
+              </Sel>
+            </Field>
+            <Field label="Payday on a day off">
+              <Sel value={holidays.paydayRoll} onChange={e=>{setHolidays(h=>({...h,paydayRoll:e.target.value}));setPeriodIdx(0);}}>
+                <option value="earlier">Paid the working day before</option>
+                <option value="later">Paid the working day after</option>
+              </Sel>
+            </Field>
+            <Field label="Bill due on a day off">
+              <Sel value={holidays.billRoll} onChange={e=>setHolidays(h=>({...h,billRoll:e.target.value}))}>
+                <option value="none">Keep the due date</option>
+                <option value="later">Taken the working day after</option>
+                <option value="earlier">Taken the working day before</option>
+              </Sel>
+            </Field>
+            <div>
+              <Label>Closure days</Label>
+              <div style={{fontFamily:T.sans,fontSize:11,color:T.inkLight,opacity:0.7,marginBottom:8}}>Extra days your bank or employer doesn't pay out — treated like holidays</div>
+              <div style={{display:"grid",gap:6,marginBottom:12}}>
+                {[...holidays.closures].sort().map(d=>(
+                  <div key={d} style={{display:"flex",alignItems:"center",gap:10,background:T.cream,borderRadius:10,padding:"8px 12px"}}>
+                    <span style={{fontFamily:T.sans,fontSize:13,flex:1}}>{localDate(d).toLocaleDateString("en-GB",{weekday:"short",day:"numeric",month:"long",year:"numeric"})}</span>
+                    <button onClick={()=>setHolidays(h=>({...h,closures:h.closures.filter(x=>x!==d)}))} style={{background:"none",border:"none",cursor:"pointer",padding:0,lineHeight:1,opacity:0.3,display:"flex"}}>
+                      <Icon name="close" size={14} color={T.ink}/>
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div style={{display:"flex",gap:8}}>
+                <TextInput type="date" value={newClosure} onChange={e=>setNewClosure(e.target.value)}/>
+                <Btn variant="primary" style={{flexShrink:0,padding:"11px 18px"}} onClick={()=>{
+                  if (newClosure && !holidays.closures.includes(newClosure)) setHolidays(h=>({...h,closures:[...h.closures,newClosure]}));
+                  setNewClosure("");
+                }}>Add</Btn>
+              </div>
+            </div>
+            {holidays.country && (
+              <div style={{background:T.paper,borderRadius:10,padding:"10px 14px",fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
+                <div style={{fontSize:11,fontWeight:600,letterSpacing:"0.06em",textTransform:"uppercase",marginBottom:6}}>Coming up</div>
+                {[0,1].flatMap(n=>[...holidaysIn(holidays.country, todayMidnight.getFullYear()+n)])
+                  .filter(([d])=>d>=today).sort(([a],[b])=>a<b?-1:1).slice(0,5).map(([d,name])=>(
+                  <div key={d} style={{display:"flex",justifyContent:"space-between",gap:10,padding:"3px 0"}}>
+                    <span style={{color:T.ink}}>{name}</span>
+                    <span>{localDate(d).toLocaleDateString("en-GB",{weekday:"short",day:"numeric",month:"short"})}</span>
+                  </div>
+                ))}
+              </div>
+            )}
             <Btn variant="outline" style={{width:"100%",marginTop:4}} onClick={()=>setSettingsPage("general")}>← Back to General</Btn>
           </div>
         )}
@@ -1344,7 +4250,7 @@ export default function MeFirst() {
           <Field label="Name"><TextInput placeholder="e.g. Rent, Netflix, Horse livery" value={draftRecurr.name} onChange={e=>setDraftRecurr({...draftRecurr,name:e.target.value})}/></Field>
           <Field label="Category"><Sel value={draftRecurr.category} onChange={e=>setDraftRecurr({...draftRecurr,category:e.target.value})}>{spendCats.map(c=><option key={c}>{c}</option>)}</Sel></Field>
           <Field label="Amount (€)"><NumInput value={draftRecurr.amount||""} onChange={v=>setDraftRecurr({...draftRecurr,amount:v})} placeholder="0"/></Field>
-          <Field label="Day of month"><NumInput value={draftRecurr.dayOfMonth} onChange={v=>setDraftRecurr({...draftRecurr,dayOfMonth:Math.min(28,Math.max(1,Math.round(v)))})} placeholder="1"/></Field>
+          <ScheduleFields value={draftRecurr} onChange={setDraftRecurr}/>
           <Btn variant="primary" style={{width:"100%"}} onClick={addRecurring}>Add recurring</Btn>
           <Btn variant="outline" style={{width:"100%"}} onClick={()=>{setSettingsPage("spending");setSheet("settings");}}>Back</Btn>
         </div>
@@ -1357,13 +4263,37 @@ export default function MeFirst() {
             <Field label="Name"><TextInput value={editRecurr.name} onChange={e=>setEditRecurr({...editRecurr,name:e.target.value})}/></Field>
             <Field label="Category"><Sel value={editRecurr.category} onChange={e=>setEditRecurr({...editRecurr,category:e.target.value})}>{spendCats.map(c=><option key={c}>{c}</option>)}</Sel></Field>
             <Field label="Amount (€)"><NumInput value={editRecurr.amount} onChange={v=>setEditRecurr({...editRecurr,amount:v})}/></Field>
-            <Field label="Day of month"><NumInput value={editRecurr.dayOfMonth} onChange={v=>setEditRecurr({...editRecurr,dayOfMonth:Math.min(28,Math.max(1,Math.round(v)))})} /></Field>
+            <ScheduleFields value={editRecurr} onChange={setEditRecurr}/>
             <Btn variant="primary" style={{width:"100%"}} onClick={saveRecurring}>Save changes</Btn>
             <Btn variant="danger" style={{width:"100%"}} icon="trash" onClick={deleteRecurring}>Delete</Btn>
           </div>
         )}
       </Sheet>
 
+      {/* One Bill Occurrence */}
+      <Popup open={!!editBill} onClose={()=>setEditBill(null)} title={editBill?.r.name}>
+        {editBill&&(
+          <div style={{display:"grid",gap:14}}>
+            <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight}}>
+              Due {localDate(editBill.date).toLocaleDateString("en-GB",{weekday:"short",day:"numeric",month:"long"})} · usually {fmt(editBill.r.amount)}
+              {editBill.date!==editBill.occurrence && (
+                <div style={{fontSize:11,marginTop:3,opacity:0.7}}>
+                  Moved from {localDate(editBill.occurrence).toLocaleDateString("en-GB",{day:"numeric",month:"short"})} · {holidayName(editBill.occurrence,holidays)||"weekend"}
+                </div>
+              )}
+            </div>
+            <Field label="Amount this time (€)">
+              <NumInput value={editBill.amount} onChange={v=>setEditBill(b=>({...b,amount:v}))}/>
+            </Field>
+            <label style={{display:"flex",gap:8,alignItems:"center",fontFamily:T.sans,fontSize:13,color:T.ink}}>
+              <input type="checkbox" checked={editBill.skip} onChange={e=>setEditBill(b=>({...b,skip:e.target.checked}))}/>
+              Skip this occurrence
+            </label>
+            <Btn variant="primary" style={{width:"100%"}} onClick={saveBill}>Save</Btn>
+          </div>
+        )}
+      </Popup>
+
       {/* Wishlist Quiz */}
       <Popup open={!!quizItem} onClose={()=>{setQuizItem(null);setQuizAns({});}} title="Do you really need it?">
         {quizItem&&(
@@ -1372,28 +4302,43 @@ export default function MeFirst() {
               For: <strong style={{color:T.ink}}>{quizItem.name}</strong>
               {quizItem.quizScore!=null&&<span style={{marginLeft:8,opacity:0.5}}>(previous answers loaded)</span>}
             </div>
-            <div style={{display:"grid",gap:16,marginBottom:20}}>
-              {QUIZ_Q.map((q,i)=>(
-                <div key={i}>
-                  <div style={{fontFamily:T.sans,fontSize:14,marginBottom:8,lineHeight:1.4}}>{q.q}</div>
-                  <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
-                    {["yes","no"].map(ans=>(
-                      <button key={ans} onClick={()=>setQuizAns(a=>({...a,[i]:ans}))}
-                        style={{padding:"10px 0",fontFamily:T.sans,fontSize:14,borderRadius:10,cursor:"pointer",transition:"all 0.15s",
-                          border:`1.5px solid ${quizAns[i]===ans?T.ink:T.border}`,
-                          background:quizAns[i]===ans?T.ink:"transparent",
-                          color:quizAns[i]===ans?T.cream:T.ink}}>
-                        {ans}
-                      </button>
+            {(()=>{
+              const questions = quizFor(quizItem, quiz).questions;
+              const done = questions.length>0 && questions.every(q=>answerShare(q, quizAns[q.id])!=null);
+              return (
+                <>
+                  <div style={{display:"grid",gap:16,marginBottom:20}}>
+                    {questions.length===0 && (
+                      <div style={{fontFamily:T.sans,fontSize:13,color:T.inkLight}}>This question set is empty · add questions under Settings → Quiz</div>
+                    )}
+                    {questions.map(q=>(
+                      <div key={q.id}>
+                        <div style={{fontFamily:T.sans,fontSize:14,marginBottom:8,lineHeight:1.4}}>{q.q}</div>
+                        <div style={{display:"grid",gridTemplateColumns:q.kind==="scale"?"repeat(5,1fr)":"1fr 1fr",gap:8}}>
+                          {(q.kind==="scale"?[1,2,3,4,5]:["yes","no"]).map(ans=>(
+                            <button key={ans} onClick={()=>setQuizAns(a=>({...a,[q.id]:ans}))}
+                              style={{padding:"10px 0",fontFamily:T.sans,fontSize:14,borderRadius:10,cursor:"pointer",transition:"all 0.15s",
+                                border:`1.5px solid ${quizAns[q.id]===ans?T.ink:T.border}`,
+                                background:quizAns[q.id]===ans?T.ink:"transparent",
+                                color:quizAns[q.id]===ans?T.cream:T.ink}}>
+                              {ans}
+                            </button>
+                          ))}
+                        </div>
+                        {q.kind==="scale" && (
+                          <div style={{display:"flex",justifyContent:"space-between",fontFamily:T.sans,fontSize:10,color:T.inkLight,marginTop:4}}>
+                            <span>not at all</span><span>very much</span>
+                          </div>
+                        )}
+                      </div>
                     ))}
                   </div>
-                </div>
-              ))}
-            </div>
-            <Btn variant="primary" style={{width:"100%",opacity:Object.keys(quizAns).length<QUIZ_Q.length?0.45:1}}
-              disabled={Object.keys(quizAns).length<QUIZ_Q.length} onClick={submitQuiz}>
-              Get my verdict
-            </Btn>
+                  <Btn variant="primary" style={{width:"100%",opacity:done?1:0.45}} disabled={!done} onClick={submitQuiz}>
+                    Get my verdict
+                  </Btn>
+                </>
+              );
+            })()}
           </div>
         )}
       </Popup>